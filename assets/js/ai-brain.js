@@ -1,6 +1,8 @@
 /**
  * 🧠 HayDay ChatBot Brain + AI Logic
  * Frontend AI utilities and chatbot brain functions
+ * Load assets/js/turkish-text.js (HayDayChat.Text) first to match like the server brain;
+ * without it keywords are matched as plain substrings
  */
 
 // AI Brain namespace
@@ -52,19 +54,18 @@ window.HayDayChat.AI = {
 
     // Analyze message locally (quick pre-check)
     analyzeMessage: function(message) {
+      // Same normalization and stemming as the server brain when turkish-text.js is loaded
+      const Text = HayDayChat.Text;
+      const tokens = Text ? Text.analyze(message) : null;
       const lowerMessage = message.toLowerCase();
       let bestMatch = null;
       let highestConfidence = 0;
 
       // Check against cached patterns
       for (const pattern of HayDayChat.AI.patterns) {
-        let matchCount = 0;
-        
-        for (const keyword of pattern.keywords) {
-          if (lowerMessage.includes(keyword.toLowerCase())) {
-            matchCount++;
-          }
-        }
+        const matchCount = Text
+          ? Text.matchKeywords(tokens, pattern.keywords).length
+          : pattern.keywords.filter(keyword => lowerMessage.includes(keyword.toLowerCase())).length;
 
         if (matchCount > 0) {
           const confidence = (matchCount / pattern.keywords.length) * (pattern.confidence || 0.8);
@@ -104,7 +105,7 @@ window.HayDayChat.AI = {
       return null;
     },
 
-    // Update pattern usage
+    // Update pattern usage in the local cache, the server learns from /api/chat/feedback
     updatePatternUsage: function(patternKeywords, feedback) {
       const pattern = HayDayChat.AI.patterns.find(p => 
         JSON.stringify(p.keywords) === JSON.stringify(patternKeywords)
@@ -118,22 +119,6 @@ window.HayDayChat.AI = {
         } else if (feedback === 'negative') {
           pattern.successRate = Math.max(0.1, (pattern.successRate || 0.5) - 0.05);
         }
-
-        // Update server-side pattern
-        this.syncPatternToServer(pattern);
-      }
-    },
-
-    // Sync pattern changes to server
-    syncPatternToServer: async function(pattern) {
-      try {
-        await fetch('/api/ai/patterns/update', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(pattern)
-        });
-      } catch (error) {
-        console.error('Pattern sync error:', error);
       }
     }
   },
@@ -245,10 +230,9 @@ window.HayDayChat.AI = {
         processing.finalResponse = aiResponse;
         processing.steps.push('ai_response');
 
-        // Step 4: Learn from AI response
-        if (aiResponse.confidence > 0.8) {
-          this.learnFromAIResponse(message, aiResponse);
-          processing.steps.push('learning');
+        // Step 4: Confident answers are queued on the server for admin review
+        if (aiResponse.proposalId) {
+          processing.steps.push('learning_queued');
         }
 
         return this.formatResponse(processing);
@@ -279,49 +263,6 @@ window.HayDayChat.AI = {
       };
     },
 
-    // Learn from successful AI responses
-    learnFromAIResponse: function(userMessage, aiResponse) {
-      // Extract keywords from user message
-      const keywords = this.extractKeywords(userMessage);
-      
-      if (keywords.length >= 2) {
-        // Create new pattern or strengthen existing one
-        const newPattern = {
-          keywords: keywords,
-          response: aiResponse.response,
-          confidence: 0.7, // Start with medium confidence
-          usage: 1,
-          successRate: 0.8,
-          createdAt: Date.now(),
-          source: 'ai_learning'
-        };
-
-        // Add to local patterns
-        HayDayChat.AI.patterns.push(newPattern);
-
-        // Sync to server
-        HayDayChat.AI.ChatBot.syncPatternToServer(newPattern);
-      }
-    },
-
-    // Extract keywords from message
-    extractKeywords: function(message) {
-      const stopWords = [
-        'ben', 'sen', 'o', 'biz', 'siz', 'onlar',
-        'bir', 'bu', 'şu', 'hangi', 'ne', 'nasıl',
-        'için', 'ile', 've', 'veya', 'ama', 'fakat',
-        'çok', 'az', 'biraz', 'şey', 'gibi', 'kadar'
-      ];
-
-      return message
-        .toLowerCase()
-        .replace(/[^\w\söçğıüş]/g, '') // Turkish chars support
-        .split(/\s+/)
-        .filter(word => word.length > 2)
-        .filter(word => !stopWords.includes(word))
-        .slice(0, 5); // Max 5 keywords
-    },
-
     // Format final response
     formatResponse: function(processing) {
       return {
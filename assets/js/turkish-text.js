@@ -0,0 +1,140 @@
+/**
+ * 🔤 HayDay Chat System - Turkish Text
+ * Turkish-aware lowercasing, diacritic folding, tokenization and suffix stripping.
+ * Shared by the server (ChatBotBrain) and the browser (ai-brain.js, load this file first).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HayDayChat = root.HayDayChat || {};
+    root.HayDayChat.Text = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+  const FOLD_MAP = {
+    'ç': 'c', 'ğ': 'g', 'ı': 'i', 'ö': 'o', 'ş': 's', 'ü': 'u',
+    'â': 'a', 'î': 'i', 'û': 'u'
+  };
+
+  // Inflectional suffixes in folded form, longest first. Only consistency matters:
+  // a keyword and the words in a message are stemmed the same way.
+  const SUFFIXES = [
+    'larimizdan', 'lerimizden', 'larinizdan', 'lerinizden',
+    'larimiz', 'lerimiz', 'lariniz', 'leriniz', 'larindan', 'lerinden', 'larinda', 'lerinde',
+    'larina', 'lerine', 'larini', 'lerini', 'larin', 'lerin', 'lari', 'leri', 'lar', 'ler',
+    'sinden', 'sindan', 'sinde', 'sinda', 'sinin', 'sinun', 'siyle', 'suyla',
+    'sine', 'sina', 'sini', 'sinu',
+    'imizi', 'imiz', 'umuz', 'iniz', 'unuz', 'miz', 'muz', 'niz', 'nuz',
+    'indan', 'inden', 'undan', 'nden', 'ndan', 'dan', 'den', 'tan', 'ten',
+    'inda', 'inde', 'nda', 'nde', 'da', 'de', 'ta', 'te',
+    'yla', 'yle', 'ile', 'nin', 'nun', 'in', 'un', 'im', 'um', 'si', 'su',
+    'yi', 'yu', 'ya', 'ye', 'la', 'le',
+    'dir', 'dur', 'tir', 'tur', 'mi', 'mu', 'ki',
+    'i', 'u', 'a', 'e', 'm', 'n'
+  ];
+
+  const MIN_STEM_LENGTH = 4;
+
+  // Function words that never make a keyword on their own
+  const STOP_WORDS = [
+    'ben', 'sen', 'o', 'biz', 'siz', 'onlar',
+    'bir', 'bu', 'şu', 'hangi', 'ne', 'nasıl', 'nedir', 'acaba',
+    'için', 'ile', 've', 'veya', 'ama', 'fakat',
+    'çok', 'az', 'biraz', 'şey', 'gibi', 'kadar', 'var', 'yok', 'lütfen'
+  ];
+
+  // "I" -> "ı" and "İ" -> "i" regardless of the runtime locale
+  function lowercase(text) {
+    return String(text || '')
+      .replace(/I/g, 'ı')
+      .replace(/İ/g, 'i')
+      .toLowerCase();
+  }
+
+  // Turkish letters to their ASCII base, other accents dropped
+  function foldDiacritics(text) {
+    return text
+      .replace(/[çğıöşüâîû]/g, char => FOLD_MAP[char])
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  function normalize(text) {
+    return foldDiacritics(lowercase(text));
+  }
+
+  // Whole words only, so "hi" never matches inside "hizmet"
+  function tokenize(text) {
+    return normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  function stem(token) {
+    let word = token;
+    let stripped = true;
+
+    while (stripped && word.length > MIN_STEM_LENGTH) {
+      stripped = false;
+      for (const suffix of SUFFIXES) {
+        // Single letters are ambiguous ("altın" is not "altı" + n), keep a longer stem for them
+        const minLength = suffix.length === 1 ? MIN_STEM_LENGTH + 1 : MIN_STEM_LENGTH;
+        if (word.endsWith(suffix) && word.length - suffix.length >= minLength) {
+          word = word.substring(0, word.length - suffix.length);
+          stripped = true;
+          break;
+        }
+      }
+    }
+
+    return word;
+  }
+
+  // Text -> stemmed tokens, the form every comparison works on
+  function analyze(text) {
+    return tokenize(text).map(stem);
+  }
+
+  // Position of a (possibly multi-word) keyword in analyzed tokens, -1 when absent
+  function findKeyword(tokens, keyword) {
+    const keywordTokens = Array.isArray(keyword) ? keyword : analyze(keyword);
+    if (keywordTokens.length === 0) return -1;
+
+    for (let i = 0; i + keywordTokens.length <= tokens.length; i++) {
+      if (keywordTokens.every((token, offset) => tokens[i + offset] === token)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Keywords that occur in the text
+  function matchKeywords(text, keywords) {
+    const tokens = Array.isArray(text) ? text : analyze(text);
+    return keywords.filter(keyword => findKeyword(tokens, keyword) !== -1);
+  }
+
+  // Content words of a message in order of appearance, the keywords of a learned pattern
+  function extractKeywords(text, limit = 5) {
+    return lowercase(text)
+      .split(/[^a-z0-9çğıöşüâîû]+/)
+      .filter(word => word.length > 2)
+      .filter(word => !STOP_WORDS.some(stopWord => foldDiacritics(stopWord) === foldDiacritics(word)))
+      .filter((word, index, words) => words.indexOf(word) === index)
+      .slice(0, limit);
+  }
+
+  return {
+    lowercase,
+    foldDiacritics,
+    normalize,
+    tokenize,
+    stem,
+    analyze,
+    findKeyword,
+    matchKeywords,
+    extractKeywords
+  };
+});
@@ -0,0 +1,37 @@
+/**
+ * 📡 HayDay Chat System - Chat Events
+ * In-process publish/subscribe for live conversation and admin panel updates (SSE streams)
+ */
+
+const { EventEmitter } = require('events');
+
+class ChatEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  publish(clientId, type, data) {
+    this.emit(`client:${clientId}`, { type, data });
+  }
+
+  // Returns a function that removes the listener again
+  subscribe(clientId, listener) {
+    const channel = `client:${clientId}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  // Admin panel feed, covers every conversation
+  publishAdmin(type, data) {
+    this.emit('admin', { type, data });
+  }
+
+  subscribeAdmin(listener) {
+    this.on('admin', listener);
+    return () => this.off('admin', listener);
+  }
+}
+
+module.exports = ChatEvents;
@@ -0,0 +1,380 @@
+/**
+ * 📓 HayDay Chat System - Chat Journal
+ * Append-only JSONL chat log with per-client index segments.
+ *
+ * Messages are appended to the journal as one JSON line each. A background
+ * compactor copies everything up to the journal end into per-client segment
+ * files and records the covered byte offset in checkpoint.json. Reads combine
+ * the client's segment with the in-memory tail that has not been compacted yet.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { FileManager } = require('./file-manager');
+const Logger = require('./logger');
+
+const NEWLINE = 0x0a;
+const BATCH_SPAN_MS = 10 * 60 * 1000;
+
+// Complete lines in [start, end) with their byte offsets, partial trailing data is ignored
+async function readLines(filePath, start = 0, end = Infinity) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(end, size) - start;
+    if (length <= 0) return [];
+
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, start);
+
+    const lines = [];
+    let lineStart = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === NEWLINE) {
+        if (i > lineStart) {
+          lines.push({ offset: start + lineStart, text: buffer.toString('utf8', lineStart, i) });
+        }
+        lineStart = i + 1;
+      }
+    }
+    return lines;
+  } finally {
+    await handle.close();
+  }
+}
+
+function parseLine(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+class ChatJournal {
+  constructor(options = {}) {
+    this.journalPath = options.journalPath || './chat-log.jsonl';
+    this.indexDir = options.indexDir || './chat-index';
+    this.legacyPath = options.legacyPath || null;
+    this.compactIntervalMs = options.compactIntervalMs || 60000;
+    this.compactThreshold = options.compactThreshold || 200;
+    this.checkpointPath = path.join(this.indexDir, 'checkpoint.json');
+
+    this.handle = null;
+    this.size = 0;
+    this.pending = [];
+    this.checkpoint = ChatJournal.emptyCheckpoint();
+    this.queue = Promise.resolve();
+    this.compacting = null;
+    this.timer = null;
+  }
+
+  static emptyCheckpoint() {
+    return { offset: 0, count: 0, batches: [], compactedAt: null };
+  }
+
+  async open() {
+    await fs.mkdir(this.indexDir, { recursive: true });
+
+    const isNew = !(await this.exists(this.journalPath));
+    this.handle = await fs.open(this.journalPath, 'a');
+
+    await this.recover();
+    this.checkpoint = await FileManager.readJSONFile(this.checkpointPath, ChatJournal.emptyCheckpoint());
+
+    if (this.checkpoint.offset > this.size) {
+      Logger.warn('Chat journal is shorter than its index checkpoint, rebuilding index');
+      await this.resetIndex();
+    }
+
+    // Replay everything the compactor had not covered yet
+    const tail = await readLines(this.journalPath, this.checkpoint.offset, this.size);
+    this.pending = tail
+      .map(line => ({ offset: line.offset, message: parseLine(line.text) }))
+      .filter(entry => entry.message);
+
+    if (isNew && this.legacyPath) {
+      await this.importLegacy();
+    }
+
+    this.timer = setInterval(() => {
+      this.compact().catch(error => Logger.error('Chat journal compaction failed', error));
+    }, this.compactIntervalMs);
+    this.timer.unref();
+
+    Logger.info(`Chat journal opened: ${this.pending.length} messages pending compaction`);
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.queue;
+    if (this.compacting) await this.compacting;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Drop a partially written last line left behind by a crash
+  async recover() {
+    const { size } = await this.handle.stat();
+    if (size === 0) {
+      this.size = 0;
+      return;
+    }
+
+    const reader = await fs.open(this.journalPath, 'r');
+    try {
+      const chunk = Buffer.alloc(Math.min(size, 64 * 1024));
+      let end = size;
+      let validEnd = 0;
+
+      while (end > 0) {
+        const start = Math.max(0, end - chunk.length);
+        const length = end - start;
+        await reader.read(chunk, 0, length, start);
+        const index = chunk.subarray(0, length).lastIndexOf(NEWLINE);
+        if (index !== -1) {
+          validEnd = start + index + 1;
+          break;
+        }
+        end = start;
+      }
+
+      if (validEnd < size) {
+        Logger.warn(`Chat journal: truncating ${size - validEnd} bytes of incomplete data`);
+        await this.handle.truncate(validEnd);
+        await this.handle.sync();
+      }
+      this.size = validEnd;
+    } finally {
+      await reader.close();
+    }
+  }
+
+  async importLegacy() {
+    const legacy = await FileManager.readJSONFile(this.legacyPath, []);
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      await this.append(legacy);
+      await this.compact();
+      Logger.info(`Chat journal: imported ${legacy.length} messages from ${this.legacyPath}`);
+    }
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  append(messages) {
+    return this.enqueue(async () => {
+      const entries = [];
+      const chunks = [];
+      let offset = this.size;
+
+      for (const message of messages) {
+        const chunk = Buffer.from(JSON.stringify(message) + '\n', 'utf8');
+        entries.push({ offset, message });
+        chunks.push(chunk);
+        offset += chunk.length;
+      }
+
+      const data = Buffer.concat(chunks);
+      try {
+        await this.handle.write(data);
+        await this.handle.datasync();
+      } catch (error) {
+        // Never leave half a line behind for the next append
+        await this.handle.truncate(this.size).catch(() => {});
+        throw error;
+      }
+
+      this.size += data.length;
+      this.pending.push(...entries);
+
+      if (this.pending.length >= this.compactThreshold) {
+        this.compact().catch(error => Logger.error('Chat journal compaction failed', error));
+      }
+
+      return true;
+    });
+  }
+
+  compact() {
+    if (!this.compacting) {
+      this.compacting = this.runCompaction().finally(() => {
+        this.compacting = null;
+      });
+    }
+    return this.compacting;
+  }
+
+  async runCompaction() {
+    const start = this.checkpoint.offset;
+    const end = this.size;
+    if (end <= start) return;
+
+    const entries = (await readLines(this.journalPath, start, end))
+      .map(line => ({ offset: line.offset, message: parseLine(line.text) }))
+      .filter(entry => entry.message);
+
+    const byClient = new Map();
+    for (const entry of entries) {
+      const clientId = String(entry.message.clientId);
+      if (!byClient.has(clientId)) byClient.set(clientId, []);
+      byClient.get(clientId).push(entry);
+    }
+
+    for (const [clientId, clientEntries] of byClient) {
+      const lines = clientEntries.map(entry => JSON.stringify({ o: entry.offset, m: entry.message }) + '\n');
+      await this.appendToSegment(this.segmentPath(clientId), lines.join(''));
+    }
+
+    const checkpoint = {
+      offset: end,
+      count: this.checkpoint.count + entries.length,
+      batches: this.updateBatches(start, entries),
+      compactedAt: Date.now()
+    };
+
+    const saved = await FileManager.writeJSONFile(this.checkpointPath, checkpoint);
+    if (!saved) {
+      throw new Error('Could not write chat index checkpoint');
+    }
+
+    this.checkpoint = checkpoint;
+    this.pending = this.pending.filter(entry => entry.offset >= end);
+    Logger.debug(`Chat journal compacted ${entries.length} messages for ${byClient.size} clients`);
+  }
+
+  // Coarse time index over the journal, used for cross-client "since" queries
+  updateBatches(offset, entries) {
+    const batches = this.checkpoint.batches.slice();
+    if (entries.length === 0) return batches;
+
+    const timestamps = entries.map(entry => entry.message.timestamp || 0);
+    const first = Math.min(...timestamps);
+    const last = Math.max(...timestamps);
+    const current = batches[batches.length - 1];
+
+    if (current && first - current.firstTimestamp < BATCH_SPAN_MS) {
+      current.lastTimestamp = Math.max(current.lastTimestamp, last);
+    } else {
+      batches.push({ offset, firstTimestamp: first, lastTimestamp: last });
+    }
+    return batches;
+  }
+
+  async appendToSegment(segmentPath, data) {
+    const handle = await fs.open(segmentPath, 'a+');
+    try {
+      // A crash mid-append may have left an unterminated line, start on a fresh one
+      const { size } = await handle.stat();
+      let prefix = '';
+      if (size > 0) {
+        const last = Buffer.alloc(1);
+        await handle.read(last, 0, 1, size - 1);
+        if (last[0] !== NEWLINE) prefix = '\n';
+      }
+
+      await handle.write(prefix + data);
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  segmentPath(clientId) {
+    const safe = clientId.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 60);
+    const hash = crypto.createHash('sha1').update(clientId).digest('hex').substring(0, 8);
+    return path.join(this.indexDir, `${safe}-${hash}.jsonl`);
+  }
+
+  async getClientMessages(clientId) {
+    // Snapshot before awaiting so a concurrent compaction can't hide or duplicate entries
+    const covered = this.checkpoint.offset;
+    const tail = this.pending.filter(entry => entry.message.clientId === clientId);
+
+    const seen = new Set();
+    const messages = [];
+    for (const line of await readLines(this.segmentPath(clientId))) {
+      const entry = parseLine(line.text);
+      if (!entry || entry.o >= covered || seen.has(entry.o) || entry.m.clientId !== clientId) continue;
+      seen.add(entry.o);
+      messages.push(entry);
+    }
+
+    return messages
+      .sort((a, b) => a.o - b.o)
+      .map(entry => entry.m)
+      .concat(tail.map(entry => entry.message));
+  }
+
+  // Messages of all clients newer than the given timestamp
+  async getMessagesAfter(timestamp) {
+    const covered = this.checkpoint.offset;
+    const tail = this.pending.slice();
+    const batch = this.checkpoint.batches.find(b => b.lastTimestamp > timestamp);
+
+    const messages = [];
+    if (batch) {
+      for (const line of await readLines(this.journalPath, batch.offset, covered)) {
+        const message = parseLine(line.text);
+        if (message && message.timestamp > timestamp) messages.push(message);
+      }
+    }
+
+    return messages.concat(
+      tail.map(entry => entry.message).filter(message => message.timestamp > timestamp)
+    );
+  }
+
+  async readAll() {
+    return (await readLines(this.journalPath, 0, this.size))
+      .map(line => parseLine(line.text))
+      .filter(Boolean);
+  }
+
+  count() {
+    return this.checkpoint.count + this.pending.length;
+  }
+
+  async resetIndex() {
+    await fs.rm(this.indexDir, { recursive: true, force: true });
+    await fs.mkdir(this.indexDir, { recursive: true });
+    this.checkpoint = ChatJournal.emptyCheckpoint();
+  }
+
+  // Replace the whole journal, used by storage imports
+  replace(messages) {
+    return this.enqueue(async () => {
+      if (this.compacting) await this.compacting;
+      await this.handle.truncate(0);
+      await this.handle.sync();
+      this.size = 0;
+      this.pending = [];
+      await this.resetIndex();
+    }).then(() => this.append(messages)).then(() => this.compact());
+  }
+}
+
+module.exports = { ChatJournal, readLines };
@@ -0,0 +1,138 @@
+/**
+ * 🧵 HayDay Chat System - Conversation Context
+ * Recent turns of a conversation for the AI, trimmed to a token budget.
+ * Turns that fall out of the window are rolled up into a stored per-conversation summary.
+ */
+
+const { FileManager } = require('./file-manager');
+const Logger = require('./logger');
+
+const ASSISTANT_ROLES = ['chatbot', 'ai', 'admin'];
+const EXTRACT_SUMMARY_CHARS = 800;
+
+// Rough estimate (~4 characters per token), good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Chat log entry -> chat completion message, system notices are left out
+function toChatMessage(message) {
+  if (message.role === 'user') {
+    return { role: 'user', content: message.content };
+  }
+  if (ASSISTANT_ROLES.includes(message.role)) {
+    return { role: 'assistant', content: message.content };
+  }
+  return null;
+}
+
+class ConversationContext {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.summaryPath = options.summaryPath || './data/conversation-summaries.json';
+    this.maxTurns = options.maxTurns || 6;
+    this.tokenBudget = options.tokenBudget || 1500;
+    // async (previousSummary, messages) => summary text
+    this.summarize = options.summarize || null;
+    this.rollingUp = new Map();
+  }
+
+  // A turn is a visitor message plus the answer, so the window holds up to 2 × maxTurns messages
+  get windowSize() {
+    return this.maxTurns * 2;
+  }
+
+  // Summary and recent messages for the prompt. The current message is not stored yet
+  // and always goes last, so its tokens are reserved first.
+  async build(clientId, currentMessage) {
+    const summaries = await FileManager.readJSONFile(this.summaryPath, {});
+    const stored = summaries[clientId] || null;
+    const coveredUntil = stored ? stored.coveredUntil : 0;
+
+    const history = (await this.storage.getMessages({ clientId, limit: this.windowSize }))
+      .filter(message => message.timestamp > coveredUntil)
+      .map(toChatMessage)
+      .filter(Boolean);
+
+    let used = estimateTokens(currentMessage) + (stored ? estimateTokens(stored.summary) : 0);
+    const messages = [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = estimateTokens(history[i].content);
+      if (used + tokens > this.tokenBudget) break;
+      used += tokens;
+      messages.unshift(history[i]);
+    }
+
+    return {
+      summary: stored ? stored.summary : null,
+      messages,
+      tokens: used
+    };
+  }
+
+  // Fold everything older than the recent window into the summary, one run per client at a time
+  rollUp(clientId) {
+    if (!this.rollingUp.has(clientId)) {
+      const run = this.runRollUp(clientId).finally(() => this.rollingUp.delete(clientId));
+      this.rollingUp.set(clientId, run);
+    }
+    return this.rollingUp.get(clientId);
+  }
+
+  async runRollUp(clientId) {
+    const summaries = await FileManager.readJSONFile(this.summaryPath, {});
+    const stored = summaries[clientId] || null;
+
+    const history = (await this.storage.getMessages({ clientId, after: stored ? stored.coveredUntil : 0 }))
+      .filter(toChatMessage);
+
+    // Keep the window starting on a visitor message so a question and its answer stay together
+    let windowStart = Math.max(0, history.length - this.windowSize);
+    while (windowStart > 0 && history[windowStart].role !== 'user') {
+      windowStart--;
+    }
+
+    const older = history.slice(0, windowStart);
+    if (older.length === 0) return null;
+
+    const previous = stored ? stored.summary : '';
+    let summary = null;
+
+    if (this.summarize) {
+      try {
+        summary = await this.summarize(previous, older.map(toChatMessage));
+      } catch (error) {
+        Logger.warn('Conversation summary failed, falling back to an extract', { clientId, error });
+      }
+    }
+
+    const entry = {
+      summary: summary || ConversationContext.extractSummary(previous, older),
+      coveredUntil: older[older.length - 1].timestamp,
+      turns: (stored ? stored.turns : 0) + older.filter(message => message.role === 'user').length,
+      updatedAt: Date.now()
+    };
+
+    await FileManager.updateJSONFile(this.summaryPath, {}, data => {
+      data[clientId] = entry;
+    });
+
+    Logger.debug(`Conversation summary updated: ${clientId}`, { messages: older.length });
+    return entry;
+  }
+
+  // Without a summarizer keep the visitor's own questions, newest last
+  static extractSummary(previous, messages) {
+    const questions = messages
+      .filter(message => message.role === 'user')
+      .map(message => `- ${message.content}`);
+
+    const text = [previous || 'Ziyaretçinin önceki mesajları:', ...questions].join('\n');
+    return text.length > EXTRACT_SUMMARY_CHARS
+      ? '...' + text.substring(text.length - EXTRACT_SUMMARY_CHARS)
+      : text;
+  }
+}
+
+module.exports = { ConversationContext, estimateTokens };
@@ -0,0 +1,261 @@
+/**
+ * 📁 HayDay Chat System - File Manager
+ * Locked JSON file reads and crash-safe atomic writes
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+const LOCK_TIMEOUT_MS = parseInt(process.env.FILE_LOCK_TIMEOUT_MS) || 5000;
+const LOCK_STALE_MS = parseInt(process.env.FILE_LOCK_STALE_MS) || 10000;
+const LOCK_RETRY_MS = 15;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function lockTimeoutError(filePath) {
+  const error = new Error(`Timed out waiting for file lock: ${filePath}`);
+  error.code = 'ELOCKTIMEOUT';
+  return error;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// File Locking Mechanism
+// Advisory `<file>.lock` files shared by every process on the host, plus an
+// in-process queue so waiters in the same process don't race each other.
+class FileLock {
+  static queues = new Map();
+
+  static async acquire(filePath, options = {}) {
+    const timeout = options.timeout || LOCK_TIMEOUT_MS;
+    const staleMs = options.staleMs || LOCK_STALE_MS;
+    const lockKey = path.resolve(filePath);
+    const deadline = Date.now() + timeout;
+
+    // Queue behind earlier holders in this process
+    const previous = FileLock.queues.get(lockKey) || Promise.resolve();
+    let releaseLocal;
+    const current = new Promise(resolve => { releaseLocal = resolve; });
+    const tail = previous.then(() => current);
+    FileLock.queues.set(lockKey, tail);
+
+    const lock = {
+      key: lockKey,
+      lockPath: `${lockKey}.lock`,
+      token: crypto.randomBytes(8).toString('hex'),
+      released: false,
+      release: () => {
+        releaseLocal();
+        if (FileLock.queues.get(lockKey) === tail) {
+          FileLock.queues.delete(lockKey);
+        }
+      }
+    };
+
+    try {
+      let timer;
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(lockTimeoutError(filePath)), timeout);
+      });
+      try {
+        await Promise.race([previous, timedOut]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      await FileLock.acquireLockFile(lock, deadline, staleMs, filePath);
+    } catch (error) {
+      lock.release();
+      throw error;
+    }
+
+    Logger.debug(`File lock acquired: ${lockKey}`);
+    return lock;
+  }
+
+  static async acquireLockFile(lock, deadline, staleMs, filePath) {
+    const content = JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      token: lock.token,
+      acquiredAt: Date.now()
+    });
+
+    while (true) {
+      try {
+        await fs.writeFile(lock.lockPath, content, { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      await FileLock.removeIfStale(lock.lockPath, staleMs);
+
+      if (Date.now() >= deadline) {
+        throw lockTimeoutError(filePath);
+      }
+      await sleep(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+    }
+  }
+
+  // A lock is stale when its holder died or it outlived staleMs
+  static async removeIfStale(lockPath, staleMs) {
+    let holder;
+    let stats;
+    try {
+      stats = await fs.stat(lockPath);
+      holder = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch (error) {
+      // Vanished, or the holder is still writing it; only very old unreadable locks are stale
+      if (!stats || Date.now() - stats.mtimeMs < staleMs) return;
+      holder = {};
+    }
+
+    const expired = Date.now() - stats.mtimeMs > staleMs;
+    const dead = holder.hostname === os.hostname() && holder.pid && !isProcessAlive(holder.pid);
+    if (!expired && !dead) return;
+
+    try {
+      // Only remove the lock we judged stale, not one taken over in the meantime
+      const current = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+      if (current.token !== holder.token) return;
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+    }
+
+    await fs.unlink(lockPath).catch(() => {});
+    Logger.warn(`Removed stale file lock: ${lockPath}`, { pid: holder.pid });
+  }
+
+  static async release(lock) {
+    if (!lock || lock.released) return;
+    lock.released = true;
+
+    try {
+      const current = JSON.parse(await fs.readFile(lock.lockPath, 'utf8'));
+      if (current.token === lock.token) {
+        await fs.unlink(lock.lockPath);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.error(`Failed to remove lock file: ${lock.lockPath}`, error);
+      }
+    } finally {
+      lock.release();
+      Logger.debug(`File lock released: ${lock.key}`);
+    }
+  }
+}
+
+// Enhanced File Manager
+class FileManager {
+  static async readJSONFile(filePath, defaultValue = []) {
+    let lock;
+    try {
+      lock = await FileLock.acquire(filePath);
+      return await FileManager.readUnlocked(filePath, defaultValue);
+    } catch (error) {
+      // Falling back to the default while another process holds the file would
+      // let the caller overwrite it, so lock timeouts are not swallowed
+      if (error.code === 'ELOCKTIMEOUT') throw error;
+      Logger.error(`Failed to read file: ${filePath}`, error);
+      return defaultValue;
+    } finally {
+      await FileLock.release(lock);
+    }
+  }
+
+  static async writeJSONFile(filePath, data) {
+    let lock;
+    try {
+      lock = await FileLock.acquire(filePath);
+      await FileManager.writeAtomic(filePath, data);
+
+      return true;
+    } catch (error) {
+      Logger.error(`Failed to write file: ${filePath}`, error);
+      return false;
+    } finally {
+      await FileLock.release(lock);
+    }
+  }
+
+  // Read-modify-write under a single lock, the updater may mutate or return new data
+  static async updateJSONFile(filePath, defaultValue, updater) {
+    const lock = await FileLock.acquire(filePath);
+    try {
+      const data = await FileManager.readUnlocked(filePath, defaultValue);
+      const result = await updater(data);
+      const updated = result === undefined ? data : result;
+      await FileManager.writeAtomic(filePath, updated);
+      return updated;
+    } finally {
+      await FileLock.release(lock);
+    }
+  }
+
+  static async readUnlocked(filePath, defaultValue) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await FileManager.writeAtomic(filePath, defaultValue);
+        return defaultValue;
+      }
+      throw error;
+    }
+  }
+
+  // Write to a temp file, fsync it, rename over the target, then fsync the directory
+  static async writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+    const jsonData = JSON.stringify(data, null, 2);
+
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(jsonData, 'utf8');
+      await handle.sync();
+    } catch (error) {
+      await handle.close();
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+    await handle.close();
+
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    await FileManager.syncDirectory(path.dirname(path.resolve(filePath)));
+  }
+
+  static async syncDirectory(dirPath) {
+    let handle;
+    try {
+      handle = await fs.open(dirPath, 'r');
+      await handle.sync();
+    } catch {
+      // Directories can't be opened for fsync on every platform (e.g. Windows)
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+}
+
+module.exports = { FileLock, FileManager };
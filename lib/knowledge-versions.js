@@ -0,0 +1,130 @@
+/**
+ * 🕘 HayDay Chat System - Knowledge Versions
+ * Snapshot of the knowledge base after every change, with author, source and timestamp,
+ * so a bad edit or learned pattern can be diffed and rolled back.
+ *
+ * Versions are numbered upwards and never rewritten; a rollback is recorded as a new version.
+ * Only the newest `maxVersions` snapshots are kept.
+ */
+
+const { FileManager } = require('./file-manager');
+
+// Live usage and feedback statistics, learned from visitors rather than edited
+const STATISTICS_FIELDS = ['usage', 'successRate', 'confidence', 'feedback'];
+
+// Bookkeeping fields and statistics that do not make an entry different
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', ...STATISTICS_FIELDS];
+
+function snapshot(entries) {
+  return JSON.parse(JSON.stringify(entries));
+}
+
+function withoutIgnored(entries) {
+  return entries.map(entry => {
+    const copy = { ...entry };
+    IGNORED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+  });
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class KnowledgeVersions {
+  constructor(options = {}) {
+    this.path = options.path || './knowledge-versions.json';
+    this.maxVersions = options.maxVersions || 200;
+  }
+
+  // Metadata only, newest first
+  async list() {
+    const versions = await FileManager.readJSONFile(this.path, []);
+    return versions
+      .map(({ entries, ...meta }) => meta)
+      .reverse();
+  }
+
+  async get(version) {
+    const versions = await FileManager.readJSONFile(this.path, []);
+    return versions.find(record => record.version === version) || null;
+  }
+
+  async latest() {
+    const versions = await FileManager.readJSONFile(this.path, []);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  // Store a new version, null when nothing changed since the latest one
+  async record(entries, { author = 'system', source = 'system', action = 'updated', note = null } = {}) {
+    let record = null;
+
+    await FileManager.updateJSONFile(this.path, [], versions => {
+      const last = versions[versions.length - 1];
+      if (last && sameValue(withoutIgnored(last.entries), withoutIgnored(entries))) return;
+
+      record = {
+        version: last ? last.version + 1 : 1,
+        timestamp: Date.now(),
+        author: String(author),
+        source,
+        action,
+        note,
+        entryCount: entries.length,
+        entries: snapshot(entries)
+      };
+      versions.push(record);
+
+      if (versions.length > this.maxVersions) {
+        versions.splice(0, versions.length - this.maxVersions);
+      }
+    });
+
+    return record;
+  }
+
+  // Entries are matched by id: added, removed and changed fields with before/after values
+  static diff(fromEntries, toEntries) {
+    const before = new Map(fromEntries.map(entry => [entry.id, entry]));
+    const after = new Map(toEntries.map(entry => [entry.id, entry]));
+
+    const added = toEntries.filter(entry => !before.has(entry.id));
+    const removed = fromEntries.filter(entry => !after.has(entry.id));
+    const changed = [];
+
+    for (const entry of toEntries) {
+      const previous = before.get(entry.id);
+      if (!previous) continue;
+
+      const fields = {};
+      const names = new Set([...Object.keys(previous), ...Object.keys(entry)]);
+      for (const name of names) {
+        if (IGNORED_FIELDS.includes(name) || sameValue(previous[name], entry[name])) continue;
+        fields[name] = { before: previous[name], after: entry[name] };
+      }
+
+      if (Object.keys(fields).length > 0) {
+        changed.push({ id: entry.id, keywords: entry.keywords, fields });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  // Entries of an older version, keeping the current statistics of the entries that still exist
+  static restore(versionEntries, currentEntries) {
+    const current = new Map(currentEntries.map(entry => [entry.id, entry]));
+
+    return snapshot(versionEntries).map(entry => {
+      const live = current.get(entry.id);
+      if (!live) return entry;
+
+      STATISTICS_FIELDS.forEach(field => {
+        if (live[field] !== undefined) entry[field] = live[field];
+      });
+      return entry;
+    });
+  }
+}
+
+module.exports = KnowledgeVersions;
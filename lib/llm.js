@@ -0,0 +1,279 @@
+/**
+ * 🧠 HayDay Chat System - LLM Providers
+ * Chat completion adapters behind one interface.
+ *
+ * Every provider implements:
+ *   name, model, available
+ *   complete({ messages, maxTokens, temperature }) -> { content, tokensUsed, model, provider, confidence }
+ *   stream({ messages, maxTokens, temperature }, onDelta) -> same result, onDelta(text) per chunk
+ *
+ * confidence is 0..1 from the token log-probabilities, null when the provider does not report them.
+ *
+ * Failures are thrown as LLMError with a provider independent code:
+ *   timeout | rate_limit | auth | bad_request | unavailable | unknown
+ *
+ * The provider is chosen with LLM_PROVIDER (openai | local | mock).
+ */
+
+const { OpenAI, APIConnectionError, APIConnectionTimeoutError } = require('openai');
+const Logger = require('./logger');
+
+const DEFAULTS = {
+  model: 'gpt-3.5-turbo',
+  maxTokens: 150,
+  temperature: 0.7,
+  timeout: 10000
+};
+
+class LLMError extends Error {
+  constructor(message, { code = 'unknown', provider = null, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = ['timeout', 'rate_limit', 'unavailable'].includes(code);
+    if (cause) this.cause = cause;
+  }
+
+  // Map SDK / network errors onto LLMError codes
+  static from(error, provider) {
+    if (error instanceof LLMError) return error;
+
+    const status = error.status || null;
+    let code = 'unknown';
+
+    if (error instanceof APIConnectionTimeoutError || error.code === 'ETIMEDOUT' || error.name === 'TimeoutError') {
+      code = 'timeout';
+    } else if (status === 401 || status === 403) {
+      code = 'auth';
+    } else if (status === 429) {
+      code = 'rate_limit';
+    } else if (status === 400 || status === 404 || status === 422) {
+      code = 'bad_request';
+    } else if ((status && status >= 500) || error instanceof APIConnectionError || error.code === 'ECONNREFUSED') {
+      code = 'unavailable';
+    }
+
+    return new LLMError(error.message, { code, provider, status, cause: error });
+  }
+}
+
+function numberOr(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Geometric mean of the token probabilities, null without log-probabilities
+function logprobConfidence(tokens) {
+  const logprobs = tokens
+    .map(token => token.logprob)
+    .filter(Number.isFinite);
+  if (logprobs.length === 0) return null;
+
+  const mean = logprobs.reduce((sum, logprob) => sum + logprob, 0) / logprobs.length;
+  return Math.exp(mean);
+}
+
+// OpenAI chat completions API
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || DEFAULTS.model;
+    this.maxTokens = options.maxTokens || DEFAULTS.maxTokens;
+    this.temperature = options.temperature !== undefined ? options.temperature : DEFAULTS.temperature;
+
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      timeout: options.timeout || DEFAULTS.timeout,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : 2
+    });
+    // OpenAI reports token usage at the end of a stream only when asked to
+    this.streamUsage = options.streamUsage !== undefined ? options.streamUsage : true;
+    // Token log-probabilities give the answer a confidence
+    this.logprobs = options.logprobs !== undefined ? options.logprobs : true;
+    this.available = true;
+  }
+
+  async complete({ messages, maxTokens, temperature } = {}) {
+    try {
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens || this.maxTokens,
+        temperature: temperature !== undefined ? temperature : this.temperature,
+        ...(this.logprobs ? { logprobs: true } : {})
+      });
+
+      const choice = completion.choices && completion.choices[0];
+      if (!choice || !choice.message) {
+        throw new LLMError('Empty completion', { code: 'unavailable', provider: this.name });
+      }
+
+      return {
+        content: choice.message.content || '',
+        tokensUsed: completion.usage ? completion.usage.total_tokens : 0,
+        model: completion.model || this.model,
+        provider: this.name,
+        confidence: choice.logprobs && choice.logprobs.content ? logprobConfidence(choice.logprobs.content) : null
+      };
+    } catch (error) {
+      throw LLMError.from(error, this.name);
+    }
+  }
+
+  async stream({ messages, maxTokens, temperature } = {}, onDelta = () => {}) {
+    try {
+      const stream = await this.client.chat.completions.create({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens || this.maxTokens,
+        temperature: temperature !== undefined ? temperature : this.temperature,
+        stream: true,
+        ...(this.streamUsage ? { stream_options: { include_usage: true } } : {}),
+        ...(this.logprobs ? { logprobs: true } : {})
+      });
+
+      let content = '';
+      let tokensUsed = 0;
+      let model = this.model;
+      const tokens = [];
+
+      for await (const chunk of stream) {
+        if (chunk.model) model = chunk.model;
+        if (chunk.usage) tokensUsed = chunk.usage.total_tokens;
+
+        const choice = chunk.choices && chunk.choices[0];
+        if (choice && choice.logprobs && choice.logprobs.content) {
+          tokens.push(...choice.logprobs.content);
+        }
+
+        const delta = choice && choice.delta;
+        if (delta && delta.content) {
+          content += delta.content;
+          onDelta(delta.content);
+        }
+      }
+
+      return { content, tokensUsed, model, provider: this.name, confidence: logprobConfidence(tokens) };
+    } catch (error) {
+      throw LLMError.from(error, this.name);
+    }
+  }
+}
+
+// OpenAI-compatible local server (llama.cpp server, Ollama, LM Studio, vLLM ...)
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      apiKey: options.apiKey || 'local',
+      baseURL: options.baseURL || 'http://localhost:11434/v1',
+      // Local models load lazily, the first answer can take a while
+      timeout: options.timeout || 60000,
+      maxRetries: 0,
+      // Not every local server understands stream_options or logprobs
+      streamUsage: false,
+      logprobs: options.logprobs || false
+    });
+    this.name = 'local';
+  }
+}
+
+// Deterministic answers without any network, for tests and offline development
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || 'mock';
+    // keyword -> reply, first match on the last user message wins
+    this.responses = options.responses || {};
+    this.defaultResponse = options.defaultResponse || null;
+    // Set to an LLMError code to make every call fail with it
+    this.failWith = options.failWith || null;
+    // Reported answer confidence, null like a provider without log-probabilities
+    this.confidence = options.confidence !== undefined ? options.confidence : null;
+    this.available = true;
+    this.calls = [];
+  }
+
+  // Same answer as complete(), delivered word by word
+  async stream(options = {}, onDelta = () => {}) {
+    const result = await this.complete(options);
+    for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+      await new Promise(resolve => setImmediate(resolve));
+      onDelta(piece);
+    }
+    return result;
+  }
+
+  async complete({ messages = [], maxTokens } = {}) {
+    this.calls.push({ messages, maxTokens });
+
+    if (this.failWith) {
+      throw new LLMError(`Mock failure: ${this.failWith}`, { code: this.failWith, provider: this.name });
+    }
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const question = lastUser ? lastUser.content : '';
+    const keyword = Object.keys(this.responses).find(key => question.toLowerCase().includes(key.toLowerCase()));
+
+    const content = keyword
+      ? this.responses[keyword]
+      : (this.defaultResponse || `[mock] ${question}`);
+
+    const tokensUsed = messages.reduce((sum, message) => sum + Math.ceil(message.content.length / 4), 0) +
+      Math.ceil(content.length / 4);
+
+    return { content, tokensUsed, model: this.model, provider: this.name, confidence: this.confidence };
+  }
+}
+
+// Build the configured provider, null when nothing usable is configured
+function createLLMProvider(name = process.env.LLM_PROVIDER, env = process.env) {
+  const common = {
+    model: env.OPENAI_MODEL || DEFAULTS.model,
+    maxTokens: parseInt(env.MAX_TOKENS_PER_REQUEST) || DEFAULTS.maxTokens,
+    temperature: numberOr(env.LLM_TEMPERATURE, DEFAULTS.temperature),
+    timeout: parseInt(env.LLM_TIMEOUT_MS) || undefined
+  };
+
+  const provider = name || 'openai';
+
+  try {
+    switch (provider) {
+      case 'openai':
+        if (!env.OPENAI_API_KEY || env.OPENAI_API_KEY === 'your-openai-api-key-here') {
+          Logger.warn('OpenAI API key not provided');
+          return null;
+        }
+        return new OpenAIProvider({ ...common, apiKey: env.OPENAI_API_KEY });
+      case 'local':
+        return new LocalProvider({
+          ...common,
+          model: env.LOCAL_LLM_MODEL || common.model,
+          baseURL: env.LOCAL_LLM_URL,
+          apiKey: env.LOCAL_LLM_API_KEY,
+          logprobs: env.LOCAL_LLM_LOGPROBS === 'true'
+        });
+      case 'mock':
+        return new MockProvider({
+          defaultResponse: env.LLM_MOCK_RESPONSE,
+          confidence: numberOr(env.LLM_MOCK_CONFIDENCE, null)
+        });
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  } catch (error) {
+    Logger.error('LLM provider initialization failed', error);
+    return null;
+  }
+}
+
+module.exports = {
+  LLMError,
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider,
+  createLLMProvider
+};
@@ -0,0 +1,40 @@
+/**
+ * 📝 HayDay Chat System - Logger
+ * Level-based console logger shared by the server and CLI scripts
+ */
+
+class Logger {
+  static levels = { error: 0, warn: 1, info: 2, debug: 3 };
+  static currentLevel = Logger.levels[process.env.LOG_LEVEL] || Logger.levels.info;
+
+  static log(level, message, meta = {}) {
+    if (Logger.levels[level] <= Logger.currentLevel) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, Logger.describe(meta.error));
+    }
+  }
+
+  // Stack trace when there is one, otherwise the message or the value itself
+  static describe(error) {
+    if (!error) return '';
+    return error.stack || error.message || String(error);
+  }
+
+  static error(message, error, meta = {}) {
+    Logger.log('error', message, { error, ...meta });
+  }
+
+  static warn(message, meta = {}) {
+    Logger.log('warn', message, meta);
+  }
+
+  static info(message, meta = {}) {
+    Logger.log('info', message, meta);
+  }
+
+  static debug(message, meta = {}) {
+    Logger.log('debug', message, meta);
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,311 @@
+/**
+ * 📦 HayDay Chat System - Order Lookup
+ * Order status for the chat, behind one adapter interface so the shop can be plugged in later.
+ *
+ * Every adapter implements:
+ *   name
+ *   findOrder(orderId) -> { id, email, status, items, total, eta, note, updatedAt } or null when unknown
+ *
+ * Adapters, chosen with ORDER_ADAPTER:
+ *   file - JSON array or CSV file at ORDERS_PATH (./data/orders.json, never served), re-read when it changes
+ *   http - shop API at ORDERS_API_URL ("{orderId}" is replaced, e.g. https://shop/api/orders/{orderId})
+ *
+ * An order is only shown to a visitor who also gives the order's e-mail address. A wrong pair gets
+ * the same answer as an unknown order. Repeated failures lock the visitor for a while, and every
+ * wrong guess at one order number makes its next answer slower (never locked, so whoever guesses
+ * at it cannot lock its owner out).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+const STATUS_LABELS = {
+  received: 'Sipariş alındı',
+  paid: 'Ödeme alındı',
+  preparing: 'Hazırlanıyor',
+  delivering: 'Teslim ediliyor',
+  delivered: 'Teslim edildi',
+  cancelled: 'İptal edildi',
+  refunded: 'İade edildi'
+};
+
+const MAX_TRACKED_FAILURES = 10000;
+
+function normalizeOrderId(orderId) {
+  return String(orderId || '').replace(/^#/, '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Compared in constant time, the answer must not depend on how much of the address was right
+function sameEmail(a, b) {
+  const hashA = crypto.createHash('sha256').update(normalizeEmail(a)).digest();
+  const hashB = crypto.createHash('sha256').update(normalizeEmail(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Quoted fields may hold commas, newlines and "" for a quote
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header = [], ...records] = rows;
+  const names = header.map(name => name.trim());
+  return records.map(record => Object.fromEntries(names.map((name, index) => [name, (record[index] || '').trim()])));
+}
+
+// Shop records -> the fields the chat uses; CSV items are "20x cıvata; 10x kereste"
+function toOrder(record) {
+  if (!record) return null;
+
+  const id = normalizeOrderId(record.id || record.orderId || record.number);
+  if (!id) return null;
+
+  let items = record.items || [];
+  if (typeof items === 'string') {
+    items = items.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^(\d+)\s*x\s*(.+)$/i);
+      return match ? { name: match[2].trim(), quantity: parseInt(match[1], 10) } : { name: item, quantity: 1 };
+    });
+  }
+
+  return {
+    id,
+    email: normalizeEmail(record.email),
+    status: String(record.status || '').trim().toLowerCase(),
+    items,
+    total: record.total !== undefined && record.total !== '' ? Number(record.total) : null,
+    eta: record.eta || null,
+    note: record.note || null,
+    updatedAt: record.updatedAt || null
+  };
+}
+
+class FileOrderAdapter {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.path = options.path || './data/orders.json';
+    this.orders = null;
+    this.loadedMtime = null;
+  }
+
+  async load() {
+    let stat;
+    try {
+      stat = await fs.stat(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (this.loadedMtime !== 0) Logger.warn(`Orders file not found: ${this.path}`);
+      this.orders = new Map();
+      this.loadedMtime = 0;
+      return this.orders;
+    }
+
+    if (this.orders && stat.mtimeMs === this.loadedMtime) return this.orders;
+
+    const text = await fs.readFile(this.path, 'utf8');
+    const records = path.extname(this.path).toLowerCase() === '.csv' ? parseCSV(text) : JSON.parse(text);
+    const orders = new Map();
+    for (const order of (Array.isArray(records) ? records : records.orders || []).map(toOrder)) {
+      if (order) orders.set(order.id, order);
+    }
+
+    this.orders = orders;
+    this.loadedMtime = stat.mtimeMs;
+    Logger.info(`Orders loaded: ${orders.size}`, { path: this.path });
+    return orders;
+  }
+
+  async findOrder(orderId) {
+    const orders = await this.load();
+    return orders.get(normalizeOrderId(orderId)) || null;
+  }
+}
+
+class HttpOrderAdapter {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.url = options.url;
+    this.token = options.token || null;
+    this.timeout = options.timeout || 5000;
+  }
+
+  async findOrder(orderId) {
+    if (!this.url) throw new Error('ORDERS_API_URL is not set');
+
+    const url = this.url.replace('{orderId}', encodeURIComponent(normalizeOrderId(orderId)));
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+      },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Order API responded ${response.status}`);
+
+    const data = await response.json();
+    return toOrder(data && data.order ? data.order : data);
+  }
+}
+
+class OrderLookup {
+  constructor(options = {}) {
+    this.adapter = options.adapter;
+    this.maxFailures = options.maxFailures || 5;
+    this.lockoutMs = options.lockoutMs || 15 * 60 * 1000;
+    // Wait before answering for an order with wrong guesses: doubles per failure up to maxBackoffMs
+    this.backoffMs = options.backoffMs !== undefined ? options.backoffMs : 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 8000;
+    // "client:<id>" / "order:<id>" -> { count, since }
+    this.failures = new Map();
+  }
+
+  get available() {
+    return !!this.adapter;
+  }
+
+  // { status: 'found', order } | 'not_found' (unknown order or wrong e-mail) | 'locked' | 'unavailable'
+  async lookup(orderId, email, clientId) {
+    if (!this.adapter) return { status: 'unavailable' };
+
+    const clientKey = `client:${clientId}`;
+    const orderKey = `order:${normalizeOrderId(orderId)}`;
+    if (this.isLocked(clientKey)) return { status: 'locked' };
+
+    const backoff = this.backoff(orderKey);
+    if (backoff > 0) await new Promise(resolve => setTimeout(resolve, backoff));
+
+    let order;
+    try {
+      order = await this.adapter.findOrder(orderId);
+    } catch (error) {
+      Logger.error(`Order lookup failed (${this.adapter.name})`, error);
+      return { status: 'unavailable' };
+    }
+
+    if (!order || !order.email || !sameEmail(order.email, email)) {
+      this.recordFailure(clientKey);
+      this.recordFailure(orderKey);
+      return { status: 'not_found' };
+    }
+
+    this.failures.delete(clientKey);
+    this.failures.delete(orderKey);
+    return { status: 'found', order };
+  }
+
+  // Orders for support agents, no e-mail needed
+  async find(orderId) {
+    if (!this.adapter) return null;
+    return this.adapter.findOrder(orderId);
+  }
+
+  // { count, since } of the key's failures within the lockout window, null when there are none
+  activeFailure(key) {
+    const failure = this.failures.get(key);
+    if (!failure) return null;
+    if (Date.now() - failure.since > this.lockoutMs) {
+      this.failures.delete(key);
+      return null;
+    }
+    return failure;
+  }
+
+  isLocked(key) {
+    const failure = this.activeFailure(key);
+    return !!failure && failure.count >= this.maxFailures;
+  }
+
+  // Milliseconds to wait before answering for the key
+  backoff(key) {
+    const failure = this.activeFailure(key);
+    if (!failure || this.backoffMs <= 0) return 0;
+    return Math.min(this.backoffMs * 2 ** (failure.count - 1), this.maxBackoffMs);
+  }
+
+  recordFailure(key) {
+    const now = Date.now();
+    const failure = this.failures.get(key);
+    if (failure && now - failure.since <= this.lockoutMs) {
+      failure.count++;
+    } else {
+      this.failures.set(key, { count: 1, since: now });
+    }
+
+    if (this.failures.size > MAX_TRACKED_FAILURES) {
+      for (const [trackedKey, tracked] of this.failures) {
+        if (now - tracked.since > this.lockoutMs) this.failures.delete(trackedKey);
+      }
+    }
+  }
+
+  static statusLabel(status) {
+    return STATUS_LABELS[status] || status || 'Bilinmiyor';
+  }
+}
+
+// Build the configured adapter, null when order lookup is off
+function createOrderAdapter(name = process.env.ORDER_ADAPTER, env = process.env) {
+  switch (name) {
+    case undefined:
+    case '':
+    case 'none':
+      return null;
+    case 'file':
+      return new FileOrderAdapter({ path: env.ORDERS_PATH });
+    case 'http':
+      return new HttpOrderAdapter({
+        url: env.ORDERS_API_URL,
+        token: env.ORDERS_API_TOKEN,
+        timeout: parseInt(env.ORDERS_API_TIMEOUT_MS) || undefined
+      });
+    default:
+      Logger.error(`Unknown order adapter: ${name}`);
+      return null;
+  }
+}
+
+module.exports = {
+  OrderLookup,
+  FileOrderAdapter,
+  HttpOrderAdapter,
+  createOrderAdapter,
+  parseCSV
+};
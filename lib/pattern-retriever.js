@@ -0,0 +1,293 @@
+/**
+ * 🔎 HayDay Chat System - Pattern Retriever
+ * BM25 ranking of knowledge-base patterns over their keywords, example questions and response text.
+ *
+ * Raw BM25 scores are turned into a 0..1 confidence with a scale calibrated on the
+ * knowledge base itself: a median single-keyword hit maps to `singleHitConfidence`.
+ * A runner-up close to the top result lowers the confidence (ambiguous question).
+ *
+ * Misspelled words ("altn", "depolma") are mapped onto the closest keyword term within that
+ * keyword's edit-distance tolerance. Tolerance grows with keyword length, short keywords
+ * ("hi", "bb") stay exact, and a pattern can override it per keyword with `tolerances`.
+ *
+ * `alternativesOf` gives further keywords of a pattern that stand for each other, like the product
+ * catalog's names for an intent asking for a product. Each one matches like a keyword, but together
+ * they do not lengthen the keyword field, so a long catalog does not weaken the pattern's own keywords.
+ */
+
+const TurkishText = require('../assets/js/turkish-text');
+
+// Weight of a BM25 match per pattern field
+const DEFAULT_FIELD_WEIGHTS = { keywords: 3, examples: 2, response: 1 };
+
+// Keywords shorter than minLength match exactly, from longLength on two typos are allowed
+const DEFAULT_FUZZY = { enabled: true, minLength: 4, longLength: 8, maxDistance: 2 };
+
+// Score kept per edit of a fuzzy match
+const FUZZY_PENALTY = 0.2;
+
+// Optimal string alignment distance (a swap of neighbours is one edit), gives up above max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+class PatternRetriever {
+  constructor(options = {}) {
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.fieldWeights = { ...DEFAULT_FIELD_WEIGHTS, ...options.fieldWeights };
+    this.singleHitConfidence = options.singleHitConfidence || 0.8;
+    this.ambiguityPenalty = options.ambiguityPenalty !== undefined ? options.ambiguityPenalty : 0.3;
+    this.fuzzy = { ...DEFAULT_FUZZY, ...options.fuzzy };
+    this.alternativesOf = options.alternativesOf || (() => []);
+
+    this.documents = [];
+    this.idf = new Map();
+    this.avgLength = {};
+    this.scale = 1;
+    // Keyword term -> spellings it can be reached from and their tolerance, see indexKeywordTerms()
+    this.keywordTerms = new Map();
+  }
+
+  index(patterns) {
+    const fields = Object.keys(this.fieldWeights);
+
+    this.documents = patterns.map(pattern => {
+      const alternatives = this.alternativesOf(pattern);
+      const texts = {
+        keywords: pattern.keywords || [],
+        examples: pattern.examples || [],
+        response: [pattern.response || '']
+      };
+
+      const doc = { pattern, keywords: [...texts.keywords, ...alternatives], fields: {}, terms: new Set() };
+      for (const field of fields) {
+        const counts = new Map();
+        let length = 0;
+        for (const text of texts[field] || []) {
+          for (const term of TurkishText.analyze(text)) {
+            counts.set(term, (counts.get(term) || 0) + 1);
+            doc.terms.add(term);
+            length++;
+          }
+        }
+        doc.fields[field] = { counts, length };
+      }
+
+      // Once each and without length, a message names one of them
+      const keywordCounts = doc.fields.keywords && doc.fields.keywords.counts;
+      for (const term of alternatives.flatMap(alternative => TurkishText.analyze(alternative))) {
+        if (keywordCounts && !keywordCounts.has(term)) keywordCounts.set(term, 1);
+        doc.terms.add(term);
+      }
+      return doc;
+    });
+
+    const count = this.documents.length;
+    this.avgLength = {};
+    for (const field of fields) {
+      const total = this.documents.reduce((sum, doc) => sum + doc.fields[field].length, 0);
+      this.avgLength[field] = count > 0 ? total / count : 0;
+    }
+
+    const documentFrequency = new Map();
+    for (const doc of this.documents) {
+      for (const term of doc.terms) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    this.idf = new Map();
+    documentFrequency.forEach((df, term) => {
+      this.idf.set(term, Math.log(1 + (count - df + 0.5) / (df + 0.5)));
+    });
+
+    this.indexKeywordTerms();
+    this.calibrate();
+  }
+
+  // Edits allowed for a keyword token, the pattern's own setting wins
+  tolerance(pattern, keyword, token) {
+    if (pattern.tolerances && pattern.tolerances[keyword] !== undefined) {
+      return Math.min(pattern.tolerances[keyword], this.fuzzy.maxDistance);
+    }
+    return this.lengthTolerance(token);
+  }
+
+  lengthTolerance(word) {
+    if (word.length < this.fuzzy.minLength) return 0;
+    return word.length >= this.fuzzy.longLength ? Math.min(2, this.fuzzy.maxDistance) : 1;
+  }
+
+  indexKeywordTerms() {
+    this.keywordTerms = new Map();
+    if (!this.fuzzy.enabled) return;
+
+    for (const doc of this.documents) {
+      for (const keyword of doc.keywords) {
+        for (const token of TurkishText.tokenize(keyword)) {
+          const term = TurkishText.stem(token);
+          const tolerance = this.tolerance(doc.pattern, keyword, token);
+          if (tolerance === 0) continue;
+
+          // A stem is shorter than the word, it gets no more edits than its own length allows
+          const entry = this.keywordTerms.get(term) || { term, keyword, forms: new Map() };
+          entry.forms.set(token, Math.max(entry.forms.get(token) || 0, tolerance));
+          entry.forms.set(term, Math.max(entry.forms.get(term) || 0, Math.min(tolerance, this.lengthTolerance(term))));
+          this.keywordTerms.set(term, entry);
+        }
+      }
+    }
+  }
+
+  // Closest keyword term for an unknown word, null when nothing is within tolerance
+  correct(token) {
+    if (token.length < this.fuzzy.minLength) return null;
+    const term = TurkishText.stem(token);
+
+    let best = null;
+    for (const entry of this.keywordTerms.values()) {
+      for (const [form, tolerance] of entry.forms) {
+        if (tolerance === 0) continue;
+
+        const distance = Math.min(
+          editDistance(token, form, tolerance),
+          editDistance(term, form, tolerance)
+        );
+        if (distance <= tolerance && (!best || distance < best.distance)) {
+          best = { input: token, term: entry.term, keyword: entry.keyword, distance };
+        }
+      }
+    }
+    return best;
+  }
+
+  // Stemmed query terms with misspellings replaced by keyword terms
+  analyzeQuery(text) {
+    const terms = [];
+    const variants = [];
+
+    for (const token of TurkishText.tokenize(text)) {
+      const term = TurkishText.stem(token);
+      const known = this.idf.has(term);
+      const variant = known ? null : this.correct(token);
+
+      if (variant) {
+        variants.push(variant);
+        terms.push(variant.term);
+      } else {
+        terms.push(term);
+      }
+    }
+
+    return { terms, variants };
+  }
+
+  // BM25 per field, weighted and summed, so a keyword hit outweighs a word in the response
+  termScore(doc, term) {
+    if (!doc.terms.has(term)) return 0;
+
+    let weighted = 0;
+    for (const [field, weight] of Object.entries(this.fieldWeights)) {
+      const { counts, length } = doc.fields[field];
+      const tf = counts.get(term);
+      if (!tf) continue;
+
+      const lengthNorm = 1 - this.b + this.b * (length / (this.avgLength[field] || 1));
+      weighted += weight * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+    }
+    return this.idf.get(term) * weighted;
+  }
+
+  scoreTerms(doc, terms) {
+    return terms.reduce((sum, term) => sum + this.termScore(doc, term), 0);
+  }
+
+  // Pick the score scale so a median single-keyword hit lands on singleHitConfidence
+  calibrate() {
+    const hits = [];
+    for (const doc of this.documents) {
+      for (const keyword of doc.pattern.keywords || []) {
+        const score = this.scoreTerms(doc, [...new Set(TurkishText.analyze(keyword))]);
+        if (score > 0) hits.push(score);
+      }
+    }
+
+    if (hits.length === 0) {
+      this.scale = 1;
+      return;
+    }
+
+    hits.sort((a, b) => a - b);
+    const median = hits[Math.floor(hits.length / 2)];
+    this.scale = median / -Math.log(1 - this.singleHitConfidence);
+  }
+
+  // Top-k patterns for the text, best first
+  search(text, k = 3) {
+    const query = this.analyzeQuery(text);
+    const penalties = new Map(query.variants.map(variant => [variant.term, 1 - FUZZY_PENALTY * variant.distance]));
+    const queryTerms = [...new Set(query.terms)];
+    const results = [];
+
+    for (const doc of this.documents) {
+      const matchedTerms = queryTerms.filter(term => doc.terms.has(term));
+      if (matchedTerms.length === 0) continue;
+
+      const score = matchedTerms.reduce(
+        (sum, term) => sum + this.termScore(doc, term) * (penalties.get(term) || 1),
+        0
+      );
+      results.push({
+        pattern: doc.pattern,
+        score,
+        strength: this.strength(score),
+        matchedTerms,
+        matchedKeywords: TurkishText.matchKeywords(query.terms, doc.keywords),
+        variants: query.variants.filter(variant => doc.terms.has(variant.term))
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, k);
+  }
+
+  strength(score) {
+    return 1 - Math.exp(-score / this.scale);
+  }
+
+  // Confidence of the top result, lowered when the runner-up scores close to it
+  confidence(results) {
+    if (results.length === 0) return 0;
+
+    const [top, second] = results;
+    const ratio = second ? second.score / top.score : 0;
+    return top.strength * (1 - this.ambiguityPenalty * ratio * ratio);
+  }
+}
+
+module.exports = PatternRetriever;
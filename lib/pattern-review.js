@@ -0,0 +1,157 @@
+/**
+ * 📝 HayDay Chat System - Pattern Review Queue
+ * Patterns learned from AI answers and proposed by visitors wait here until an admin
+ * approves, edits or rejects them. Nothing in the queue is answered by the bot.
+ *
+ * A proposal is pending, approved or rejected. A pending proposal from the same source with the
+ * same keyword set as a new one is refreshed instead of duplicated, `occurrences` counts how often
+ * it came up. When the queue is full the oldest reviewed proposal makes room; pending proposals are
+ * never dropped unseen, so a new one is rejected when every slot is pending. Visitor proposals may
+ * take at most `maxClientProposals` pending slots, the rest is kept for learned answers.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { FileManager } = require('./file-manager');
+const TurkishText = require('../assets/js/turkish-text');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+// Fields an admin may change before approving
+const EDITABLE_FIELDS = ['keywords', 'response', 'examples', 'confidence'];
+
+const MAX_EXAMPLES = 10;
+
+function keywordKey(keywords) {
+  return keywords.map(keyword => TurkishText.lowercase(keyword).trim()).sort().join('|');
+}
+
+// Visitor questions the proposal came from, each once
+function mergeExamples(examples = [], added = []) {
+  const merged = [...(examples || [])];
+  for (const example of added || []) {
+    if (!merged.some(item => TurkishText.lowercase(item) === TurkishText.lowercase(example))) {
+      merged.push(example);
+    }
+  }
+  return merged.slice(-MAX_EXAMPLES);
+}
+
+class PatternReviewQueue {
+  constructor(options = {}) {
+    this.path = options.path || './pattern-proposals.json';
+    this.maxProposals = options.maxProposals || 500;
+    this.maxClientProposals = options.maxClientProposals || Math.floor(this.maxProposals / 2);
+  }
+
+  // Newest first, optionally only one status
+  async list(status = null) {
+    const proposals = await FileManager.readJSONFile(this.path, []);
+    return proposals
+      .filter(proposal => !status || (proposal.status || 'pending') === status)
+      .reverse();
+  }
+
+  async get(id) {
+    const proposals = await FileManager.readJSONFile(this.path, []);
+    return proposals.find(proposal => proposal.id === id) || null;
+  }
+
+  // { proposal, created, rejected }; `rejected` ('full') leaves proposal null
+  async submit(data) {
+    let proposal = null;
+    let created = false;
+    let rejected = null;
+
+    await FileManager.updateJSONFile(this.path, [], proposals => {
+      const key = keywordKey(data.keywords);
+      const source = data.source || 'client';
+      const pending = proposals.filter(item => (item.status || 'pending') === 'pending');
+      // A visitor must not rewrite a learned answer waiting for review, so only the same source is merged
+      const existing = pending.find(item => (item.source || 'client') === source && keywordKey(item.keywords) === key);
+
+      if (existing) {
+        existing.response = data.response;
+        existing.examples = mergeExamples(existing.examples, data.examples);
+        existing.aiConfidence = data.aiConfidence !== undefined ? data.aiConfidence : existing.aiConfidence;
+        existing.occurrences = (existing.occurrences || 1) + 1;
+        existing.updatedAt = Date.now();
+        proposal = existing;
+        return;
+      }
+
+      const clientPending = pending.filter(item => (item.source || 'client') === 'client').length;
+      if ((source === 'client' && clientPending >= this.maxClientProposals) ||
+          (proposals.length >= this.maxProposals && pending.length === proposals.length)) {
+        rejected = 'full';
+        return;
+      }
+
+      proposal = {
+        id: uuidv4(),
+        keywords: data.keywords,
+        response: data.response,
+        examples: mergeExamples([], data.examples),
+        confidence: data.confidence,
+        successRate: data.successRate,
+        usage: data.usage,
+        aiConfidence: data.aiConfidence,
+        source,
+        occurrences: 1,
+        submittedAt: Date.now(),
+        status: 'pending'
+      };
+      proposals.push(proposal);
+      created = true;
+
+      while (proposals.length > this.maxProposals) {
+        const reviewed = proposals.findIndex(item => (item.status || 'pending') !== 'pending');
+        if (reviewed === -1) break;
+        proposals.splice(reviewed, 1);
+      }
+    });
+
+    return { proposal, created, rejected };
+  }
+
+  // Edit a pending proposal, null when it does not exist or was already reviewed
+  async update(id, changes) {
+    return this.modify(id, proposal => {
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) proposal[field] = changes[field];
+      }
+      proposal.updatedAt = Date.now();
+    });
+  }
+
+  async resolve(id, status, reviewer, extra = {}) {
+    if (!STATUSES.includes(status) || status === 'pending') {
+      throw new Error(`Invalid review status: ${status}`);
+    }
+
+    return this.modify(id, proposal => {
+      Object.assign(proposal, extra, {
+        status,
+        reviewedBy: String(reviewer),
+        reviewedAt: Date.now()
+      });
+    });
+  }
+
+  async modify(id, change) {
+    let result = null;
+
+    await FileManager.updateJSONFile(this.path, [], proposals => {
+      const proposal = proposals.find(item => item.id === id);
+      if (!proposal || (proposal.status || 'pending') !== 'pending') return;
+
+      change(proposal);
+      result = proposal;
+    });
+
+    return result;
+  }
+}
+
+PatternReviewQueue.STATUSES = STATUSES;
+
+module.exports = PatternReviewQueue;
@@ -0,0 +1,148 @@
+/**
+ * 🛒 HayDay Chat System - Product Catalog
+ * Products with unit, price and stock, so the bot can price "20 cıvata ve 10 kereste" itself.
+ *
+ * A product is { id, name, aliases, unit, price, stock, url }. `aliases` are other spellings the
+ * visitor may use ("civata"), `stock` null means unknown and `url` links the product's own page.
+ * The catalog is kept in memory for matching and written through FileManager on every change.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { FileManager } = require('./file-manager');
+const SlotExtractor = require('./slot-extractor');
+const TurkishText = require('../assets/js/turkish-text');
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'unit', 'price', 'stock', 'url'];
+
+// Parts of a message that name one product each: "20 cıvata, 10 kereste ve 5 çivi"
+const ITEM_SEPARATOR = /[,;+\n]|\s(?:ve|ile|bir de|artı)\s/i;
+
+class ProductCatalog {
+  constructor(options = {}) {
+    this.path = options.path || './product-catalog.json';
+    this.products = [];
+  }
+
+  async load() {
+    this.products = await FileManager.readJSONFile(this.path, []);
+    return this.products;
+  }
+
+  list() {
+    return this.products;
+  }
+
+  get(id) {
+    return this.products.find(product => product.id === id) || null;
+  }
+
+  // Names and aliases, the spellings a product slot can be filled with
+  names() {
+    return this.products.flatMap(product => [product.name, ...(product.aliases || [])]);
+  }
+
+  // Product by its name or one of its aliases
+  find(name) {
+    const key = TurkishText.normalize(name || '').trim();
+    return this.products.find(product =>
+      [product.name, ...(product.aliases || [])].some(spelling => TurkishText.normalize(spelling).trim() === key)) || null;
+  }
+
+  // Another product already using one of these spellings
+  findConflict(data, exceptId = null) {
+    const spellings = [data.name, ...(data.aliases || [])].filter(Boolean);
+    for (const spelling of spellings) {
+      const product = this.find(spelling);
+      if (product && product.id !== exceptId) return product;
+    }
+    return null;
+  }
+
+  // [{ product, quantity }] for every part of the text naming a product, quantity null when not given
+  parseItems(text) {
+    const names = this.names();
+    const items = [];
+
+    for (const part of String(text || '').split(ITEM_SEPARATOR)) {
+      const name = SlotExtractor.parseProduct(part, names);
+      if (!name) continue;
+
+      const product = this.find(name);
+      const existing = items.find(item => item.product === product);
+      const quantity = SlotExtractor.parseAmount(part);
+      if (existing) {
+        if (quantity !== null) existing.quantity = (existing.quantity || 0) + quantity;
+      } else {
+        items.push({ product, quantity });
+      }
+    }
+
+    return items;
+  }
+
+  // Total and stock state of one line
+  static quote(product, quantity) {
+    const stock = Number.isFinite(product.stock) ? product.stock : null;
+    return {
+      product,
+      quantity,
+      total: Math.round(product.price * quantity * 100) / 100,
+      stock,
+      inStock: stock === null ? null : stock >= quantity
+    };
+  }
+
+  async create(data) {
+    const product = {
+      id: uuidv4(),
+      aliases: [],
+      unit: 'adet',
+      stock: null,
+      url: null,
+      ...ProductCatalog.fields(data),
+      createdAt: Date.now()
+    };
+
+    this.products = await FileManager.updateJSONFile(this.path, [], products => {
+      products.push(product);
+    });
+    return product;
+  }
+
+  // null when the product does not exist
+  async update(id, data) {
+    let updated = null;
+
+    this.products = await FileManager.updateJSONFile(this.path, [], products => {
+      const product = products.find(item => item.id === id);
+      if (!product) return;
+
+      Object.assign(product, ProductCatalog.fields(data), { updatedAt: Date.now() });
+      updated = product;
+    });
+    return updated;
+  }
+
+  async remove(id) {
+    let removed = false;
+
+    this.products = await FileManager.updateJSONFile(this.path, [], products => {
+      const index = products.findIndex(item => item.id === id);
+      if (index === -1) return;
+
+      products.splice(index, 1);
+      removed = true;
+    });
+    return removed;
+  }
+
+  static fields(data) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+}
+
+module.exports = ProductCatalog;
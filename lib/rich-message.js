@@ -0,0 +1,173 @@
+/**
+ * 🎛️ HayDay Chat System - Rich Messages
+ * Structured parts a message can carry next to its text: quick-reply chips, link buttons, product
+ * cards and images.
+ *
+ *   {
+ *     quickReplies: [{ label, text? }]                               chips that send `text` (the label by default)
+ *     buttons:      [{ label, url }]                                 links, opened in a new tab
+ *     cards:        [{ title, subtitle?, price?, imageUrl?, url? }]  product cards
+ *     images:       [{ url, alt? }]
+ *   }
+ *
+ * Knowledge-base entries carry it as `rich`, intent actions may return it, and the AI adds
+ * [[seçenek: ...]] and [[buton: Etiket | https://...]] lines that are taken out of its text.
+ * Links and images must be http(s). The text stays a complete answer on its own; channels that
+ * cannot show the parts (Telegram) use toText().
+ */
+
+const LIMITS = { quickReplies: 6, buttons: 4, cards: 10, images: 4 };
+const URL_MAX_LENGTH = 500;
+
+// The AI's markup: [[seçenek: Sipariş durumu]], [[buton: Sorular & İletişim | https://...]]
+const MARKUP_PATTERN = /\[\[\s*(seçenek|secenek|buton)\s*:\s*([^\]]*?)\s*\]\]/gi;
+
+// http(s) URL in its normalized form, null for anything else (javascript:, data:, relative ...)
+function safeUrl(value, hosts = null) {
+  if (typeof value !== 'string' || value.length > URL_MAX_LENGTH) return null;
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  if (hosts && !hosts.includes(url.hostname.toLowerCase())) return null;
+  return url.href;
+}
+
+// Trimmed text of at most `max` characters; undefined when empty, null when invalid
+function cleanText(value, max) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text) return undefined;
+  return text.length <= max ? text : null;
+}
+
+// Each part's item -> cleaned item, or the reason it is not valid
+const PARTS = {
+  quickReplies(item) {
+    const label = cleanText(item.label, 40);
+    const text = cleanText(item.text, 200);
+    if (!label) return 'Quick replies need a label of at most 40 characters';
+    if (text === null) return 'Quick reply text must be at most 200 characters';
+    return text ? { label, text } : { label };
+  },
+  buttons(item, hosts) {
+    const label = cleanText(item.label, 40);
+    const url = safeUrl(item.url, hosts);
+    if (!label) return 'Buttons need a label of at most 40 characters';
+    if (!url) return 'Buttons need an http(s) URL';
+    return { label, url };
+  },
+  cards(item, hosts) {
+    const card = {
+      title: cleanText(item.title, 80),
+      subtitle: cleanText(item.subtitle, 200),
+      price: cleanText(item.price, 40)
+    };
+    if (!card.title) return 'Cards need a title of at most 80 characters';
+    if (card.subtitle === null || card.price === null) return 'Card subtitle or price is too long';
+    for (const field of ['imageUrl', 'url']) {
+      if (item[field] === undefined || item[field] === null || item[field] === '') continue;
+      card[field] = safeUrl(item[field], hosts);
+      if (!card[field]) return `Card ${field} must be an http(s) URL`;
+    }
+    return Object.fromEntries(Object.entries(card).filter(([, value]) => value !== undefined));
+  },
+  images(item, hosts) {
+    const url = safeUrl(item.url, hosts);
+    const alt = cleanText(item.alt, 200);
+    if (!url) return 'Images need an http(s) URL';
+    if (alt === null) return 'Image alt text must be at most 200 characters';
+    return alt ? { url, alt } : { url };
+  }
+};
+
+class RichMessage {
+  // Reason the rich parts are not valid, null when they are
+  static validate(rich) {
+    if (!rich || typeof rich !== 'object' || Array.isArray(rich)) return 'Rich content must be an object';
+
+    for (const [part, items] of Object.entries(rich)) {
+      if (!PARTS[part]) return `Unknown rich content part: ${part}`;
+      if (!Array.isArray(items)) return `${part} must be a list`;
+      if (items.length > LIMITS[part]) return `At most ${LIMITS[part]} ${part}`;
+
+      for (const item of items) {
+        if (!item || typeof item !== 'object') return `${part} items must be objects`;
+        const result = PARTS[part](item);
+        if (typeof result === 'string') return result;
+      }
+    }
+    return null;
+  }
+
+  // Valid items only, within the limits; null when nothing is left.
+  // `hosts` limits links and images to these host names (AI answers).
+  static normalize(rich, { hosts = null } = {}) {
+    if (!rich || typeof rich !== 'object' || Array.isArray(rich)) return null;
+
+    const normalized = {};
+    for (const [part, check] of Object.entries(PARTS)) {
+      if (!Array.isArray(rich[part])) continue;
+
+      const items = rich[part]
+        .filter(item => item && typeof item === 'object')
+        .map(item => check(item, hosts))
+        .filter(item => typeof item !== 'string')
+        .slice(0, LIMITS[part]);
+      if (items.length > 0) normalized[part] = items;
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  // The AI's [[seçenek: ...]] / [[buton: ... | url]] lines -> { text, rich }
+  static parseMarkup(content, options = {}) {
+    const rich = { quickReplies: [], buttons: [] };
+
+    const text = String(content || '').replace(MARKUP_PATTERN, (markup, kind, value) => {
+      if (kind.toLowerCase() === 'buton') {
+        const separator = value.lastIndexOf('|');
+        if (separator !== -1) {
+          rich.buttons.push({ label: value.substring(0, separator), url: value.substring(separator + 1).trim() });
+        }
+      } else {
+        rich.quickReplies.push({ label: value });
+      }
+      return '';
+    });
+
+    return {
+      text: text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+      rich: RichMessage.normalize(rich, options)
+    };
+  }
+
+  // Plain-text version of the message for channels without rich parts
+  static toText(content, rich) {
+    if (!rich) return content;
+
+    const lines = [content];
+    for (const card of rich.cards || []) {
+      const details = [card.subtitle, card.price].filter(Boolean).join(' • ');
+      lines.push(`🛒 ${card.title}${details ? ` - ${details}` : ''}${card.url ? `\n${card.url}` : ''}`);
+    }
+    for (const button of rich.buttons || []) {
+      lines.push(`🔗 ${button.label}: ${button.url}`);
+    }
+    for (const image of rich.images || []) {
+      lines.push(`🖼️ ${image.alt || 'Görsel'}: ${image.url}`);
+    }
+    if (rich.quickReplies && rich.quickReplies.length > 0) {
+      lines.push(`💬 Seçenekler: ${rich.quickReplies.map(reply => reply.label).join(' | ')}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+RichMessage.LIMITS = LIMITS;
+
+module.exports = RichMessage;
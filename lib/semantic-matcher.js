@@ -0,0 +1,246 @@
+/**
+ * 🧭 HayDay Chat System - Semantic Matcher
+ * Embedding similarity between a message and the knowledge-base entries, so a question
+ * with no keyword in common ("hesabıma altın yükleyebilir misiniz") still finds its entry.
+ *
+ * Every embedder implements:
+ *   name, model
+ *   embed(text) -> number[] (unit length) or null when the text has nothing to embed
+ *
+ * Embedders, chosen with EMBEDDING_PROVIDER:
+ *   transformers - small sentence embedding model run locally on CPU (@xenova/transformers)
+ *   word-vectors - precomputed word vector file (fastText .vec text format), averaged per text
+ *
+ * An entry's vector is the mean of its example utterances (keywords when it has none).
+ * Vectors are cached in EMBEDDING_CACHE_PATH and only recomputed when the examples change.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { FileManager } = require('./file-manager');
+const TurkishText = require('../assets/js/turkish-text');
+const Logger = require('./logger');
+
+// Highest confidence the semantic side alone can give
+const MAX_STRENGTH = 0.9;
+
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : null;
+}
+
+function meanVector(vectors) {
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < vector.length; i++) {
+      mean[i] += vector[i] / vectors.length;
+    }
+  }
+  return normalizeVector(mean);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Sentence embedding model in-process (ONNX on CPU), downloaded on first use
+class TransformersEmbedder {
+  constructor(options = {}) {
+    this.name = 'transformers';
+    this.model = options.model || 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+    this.extractor = null;
+  }
+
+  async load() {
+    if (!this.extractor) {
+      let transformers;
+      try {
+        transformers = await import('@xenova/transformers');
+      } catch (error) {
+        throw new Error('Embedding model requires the @xenova/transformers package (npm install @xenova/transformers)');
+      }
+      this.extractor = await transformers.pipeline('feature-extraction', this.model);
+    }
+    return this.extractor;
+  }
+
+  async embed(text) {
+    const extractor = await this.load();
+    const output = await extractor(text, { pooling: 'mean', normalize: true });
+    return Array.from(output.data);
+  }
+}
+
+// Word vectors from a file, a text is the mean of its known words
+class WordVectorEmbedder {
+  constructor(options = {}) {
+    this.name = 'word-vectors';
+    this.path = options.path;
+    this.model = `word-vectors:${options.path}`;
+    // Big vector files are sorted by frequency, the top words are enough for a support chat
+    this.maxWords = options.maxWords || 100000;
+    this.words = null;
+  }
+
+  async load() {
+    if (!this.words) {
+      if (!this.path || !fs.existsSync(this.path)) {
+        throw new Error(`Word vector file not found: ${this.path}`);
+      }
+
+      const words = new Map();
+      const lines = readline.createInterface({ input: fs.createReadStream(this.path), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        const parts = line.trim().split(' ');
+        // The header line of a .vec file is "<count> <dimensions>"
+        if (parts.length <= 2) continue;
+
+        const word = TurkishText.normalize(parts[0]);
+        if (!words.has(word)) {
+          words.set(word, Float32Array.from(parts.slice(1), Number));
+        }
+        if (words.size >= this.maxWords) break;
+      }
+      lines.close();
+
+      this.words = words;
+      Logger.info(`Word vectors loaded: ${words.size} words`);
+    }
+    return this.words;
+  }
+
+  async embed(text) {
+    const words = await this.load();
+    const vectors = [];
+
+    for (const token of TurkishText.tokenize(text)) {
+      const vector = words.get(token) || words.get(TurkishText.stem(token));
+      if (vector) vectors.push(vector);
+    }
+
+    return vectors.length > 0 ? meanVector(vectors) : null;
+  }
+}
+
+class SemanticMatcher {
+  constructor(options = {}) {
+    this.embedder = options.embedder;
+    this.cachePath = options.cachePath || './knowledge-vectors.json';
+    // Similarity mapped to confidence: nothing at minSimilarity, MAX_STRENGTH from fullSimilarity on
+    this.minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.45;
+    this.fullSimilarity = options.fullSimilarity !== undefined ? options.fullSimilarity : 0.85;
+    this.entries = [];
+  }
+
+  get ready() {
+    return this.entries.length > 0;
+  }
+
+  static utterances(pattern) {
+    return pattern.examples && pattern.examples.length > 0 ? pattern.examples : pattern.keywords || [];
+  }
+
+  static cacheKey(texts) {
+    return crypto.createHash('sha1').update(texts.join('\n')).digest('hex');
+  }
+
+  // Vectors for every pattern, computed only for entries missing from the cache
+  async index(patterns) {
+    const cache = await FileManager.readJSONFile(this.cachePath, {});
+    const cached = cache.model === this.embedder.model ? cache.vectors || {} : {};
+    const vectors = {};
+    const entries = [];
+    let computed = 0;
+
+    for (const pattern of patterns) {
+      const texts = SemanticMatcher.utterances(pattern);
+      if (texts.length === 0) continue;
+
+      const key = SemanticMatcher.cacheKey(texts);
+      let vector = cached[key] ? cached[key].vector : null;
+
+      if (!vector) {
+        const embedded = [];
+        for (const text of texts) {
+          const textVector = await this.embedder.embed(text);
+          if (textVector) embedded.push(textVector);
+        }
+        vector = embedded.length > 0 ? meanVector(embedded) : null;
+        computed++;
+      }
+
+      if (vector) {
+        vectors[key] = { keywords: pattern.keywords, vector };
+        entries.push({ pattern, vector });
+      }
+    }
+
+    const stale = Object.keys(cached).some(key => !vectors[key]);
+    if (computed > 0 || stale) {
+      await FileManager.writeJSONFile(this.cachePath, {
+        model: this.embedder.model,
+        updatedAt: Date.now(),
+        vectors
+      });
+    }
+
+    this.entries = entries;
+    Logger.info(`Semantic index ready: ${entries.length} entries (${computed} embedded)`, { embedder: this.embedder.name });
+    return { entries: entries.length, computed };
+  }
+
+  // Top-k entries by cosine similarity, best first
+  async search(text, k = 3) {
+    if (!this.ready) return [];
+
+    const vector = await this.embedder.embed(text);
+    if (!vector) return [];
+
+    return this.entries
+      .map(entry => {
+        const similarity = dot(vector, entry.vector);
+        return { pattern: entry.pattern, similarity, strength: this.strength(similarity) };
+      })
+      .filter(result => result.strength > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+
+  strength(similarity) {
+    const scaled = (similarity - this.minSimilarity) / (this.fullSimilarity - this.minSimilarity);
+    return MAX_STRENGTH * Math.min(1, Math.max(0, scaled));
+  }
+}
+
+// Build the configured embedder, null when semantic matching is off
+function createEmbedder(name = process.env.EMBEDDING_PROVIDER, env = process.env) {
+  switch (name) {
+    case undefined:
+    case '':
+    case 'none':
+      return null;
+    case 'transformers':
+      return new TransformersEmbedder({ model: env.EMBEDDING_MODEL });
+    case 'word-vectors':
+      return new WordVectorEmbedder({
+        path: env.EMBEDDING_VECTORS_PATH,
+        maxWords: parseInt(env.EMBEDDING_MAX_WORDS) || undefined
+      });
+    default:
+      Logger.error(`Unknown embedding provider: ${name}`);
+      return null;
+  }
+}
+
+module.exports = {
+  SemanticMatcher,
+  TransformersEmbedder,
+  WordVectorEmbedder,
+  createEmbedder
+};
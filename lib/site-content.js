@@ -0,0 +1,220 @@
+/**
+ * 📄 HayDay Chat System - Site Content
+ * Local folder of site pages (FAQ, delivery times, prices ...) that AI answers are grounded in.
+ *
+ * Documents are Markdown, plain text or HTML files in SITE_CONTENT_DIR. The first "# " heading
+ * (<title> / <h1> for HTML) is the document title, the file name when there is none. Documents are
+ * cut into chunks at "## " headings and paragraphs, at most `chunkSize` characters each.
+ *
+ * Chunks are ranked with PatternRetriever: the section heading counts as the chunk's keyword,
+ * the document title as its example and the chunk text as its response.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const PatternRetriever = require('./pattern-retriever');
+const Logger = require('./logger');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*\.(md|txt|html)$/i;
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// HTML page -> Markdown-like text with the headings kept
+function htmlToText(html) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+  const text = html
+    .replace(/<(script|style|nav|footer|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h1[^>]*>/gi, '\n\n# ')
+    .replace(/<h[2-6][^>]*>/gi, '\n\n## ')
+    .replace(/<\/(h[1-6]|p|div|li|tr|section|article)>|<br\s*\/?>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] || ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+
+  return title && !/^# /m.test(text) ? `# ${title.trim()}\n\n${text}` : text;
+}
+
+// Paragraphs longer than the chunk size are cut at the last space before the limit
+function splitLong(paragraph, chunkSize) {
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > chunkSize) {
+    const cut = rest.lastIndexOf(' ', chunkSize);
+    const end = cut > chunkSize / 2 ? cut : chunkSize;
+    pieces.push(rest.substring(0, end).trim());
+    rest = rest.substring(end).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+class SiteContentIndex {
+  constructor(options = {}) {
+    this.dir = options.dir || './site-content';
+    this.chunkSize = options.chunkSize || 700;
+    this.retriever = new PatternRetriever();
+    this.documents = [];
+    this.chunks = [];
+  }
+
+  static validName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  // Text of a document ready for chunking, HTML reduced to its readable part
+  static plainText(name, content) {
+    return path.extname(name).toLowerCase() === '.html' ? htmlToText(content) : content.replace(/\r\n/g, '\n');
+  }
+
+  static chunk(name, content, chunkSize = 700) {
+    const text = SiteContentIndex.plainText(name, content);
+    const titleLine = text.match(/^# +(.+)$/m);
+    const title = titleLine ? titleLine[1].trim() : path.basename(name, path.extname(name));
+
+    const chunks = [];
+    let heading = null;
+    let buffer = [];
+
+    const flush = () => {
+      const body = buffer.join('\n\n').trim();
+      if (body) {
+        chunks.push({ id: `${name}#${chunks.length + 1}`, document: name, title, heading, text: body });
+      }
+      buffer = [];
+    };
+
+    for (const block of text.split(/\n\s*\n/)) {
+      const paragraph = block.trim();
+      if (!paragraph || paragraph === (titleLine && titleLine[0].trim())) continue;
+
+      const sectionHeading = paragraph.match(/^#{2,6} +(.+)/);
+      if (sectionHeading) {
+        flush();
+        heading = sectionHeading[1].trim();
+        const afterHeading = paragraph.substring(paragraph.indexOf('\n') + 1).trim();
+        if (paragraph.includes('\n') && afterHeading) buffer.push(afterHeading);
+        continue;
+      }
+
+      for (const piece of splitLong(paragraph, chunkSize)) {
+        const length = buffer.reduce((sum, item) => sum + item.length + 2, 0);
+        if (length + piece.length > chunkSize) flush();
+        buffer.push(piece);
+      }
+    }
+    flush();
+
+    return { title, chunks };
+  }
+
+  filePath(name) {
+    return path.join(this.dir, name);
+  }
+
+  async fileNames() {
+    try {
+      const names = await fs.readdir(this.dir);
+      return names.filter(name => SiteContentIndex.validName(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Read every document and rebuild the chunk index
+  async reindex() {
+    const documents = [];
+    const chunks = [];
+
+    for (const name of await this.fileNames()) {
+      const filePath = this.filePath(name);
+      const [content, stat] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+      const parsed = SiteContentIndex.chunk(name, content, this.chunkSize);
+
+      documents.push({
+        name,
+        title: parsed.title,
+        size: stat.size,
+        updatedAt: stat.mtimeMs,
+        chunks: parsed.chunks.length
+      });
+      chunks.push(...parsed.chunks);
+    }
+
+    this.retriever.index(chunks.map(chunk => ({
+      keywords: [chunk.heading || chunk.title],
+      examples: [chunk.title],
+      response: chunk.text,
+      chunk
+    })));
+    this.documents = documents;
+    this.chunks = chunks;
+
+    Logger.info(`Site content indexed: ${documents.length} documents, ${chunks.length} chunks`);
+    return { documents: documents.length, chunks: chunks.length };
+  }
+
+  list() {
+    return this.documents;
+  }
+
+  async read(name) {
+    if (!SiteContentIndex.validName(name)) return null;
+
+    try {
+      const content = await fs.readFile(this.filePath(name), 'utf8');
+      const meta = this.documents.find(document => document.name === name) || { name };
+      return { ...meta, content };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Create or replace a document, written through a temp file so a reader never sees half of it
+  async write(name, content) {
+    if (!SiteContentIndex.validName(name)) {
+      throw new Error(`Invalid document name: ${name}`);
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = this.filePath(name);
+    const created = !this.documents.some(document => document.name === name);
+    const tempPath = `${filePath}.tmp.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+    await this.reindex();
+
+    return { document: this.documents.find(document => document.name === name), created };
+  }
+
+  async remove(name) {
+    if (!SiteContentIndex.validName(name)) return false;
+
+    try {
+      await fs.unlink(this.filePath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    await this.reindex();
+    return true;
+  }
+
+  // Best chunks for the text: [{ chunk, score, strength }]
+  search(text, k = 3) {
+    return this.retriever.search(text, k).map(result => ({
+      chunk: result.pattern.chunk,
+      score: result.score,
+      strength: result.strength
+    }));
+  }
+}
+
+module.exports = SiteContentIndex;
@@ -0,0 +1,226 @@
+/**
+ * 🧩 HayDay Chat System - Slot Extractor
+ * Typed values an intent needs before it can be answered ("500 altın ne kadar" -> amount 500),
+ * read from a visitor message.
+ *
+ * Slot types:
+ *   amount   - a quantity: "500", "1.500", "1,5 bin", "2k", "beş yüz"; several amount slots take the
+ *              message's quantities in order. A slot with `marker` 'from' / 'to' takes the quantity
+ *              with that suffix first ("10'dan", "15'e" / "15. seviyeye"), so "ambar 15'e" only
+ *              fills the 'to' slot
+ *   product  - one of the slot's `values` (the shared product list when it has none), matched like a keyword
+ *   order_id - an order number: "#12345", "HD-12345", "sipariş no 123456"
+ *   email    - an e-mail address, kept out of stored messages (see redact)
+ *
+ * A slot is defined as { name, type, prompt, values?, min?, max?, marker?, required? }; slots are required
+ * unless `required` is false. A value outside min/max counts as not given, so the prompt is asked again.
+ */
+
+const TurkishText = require('../assets/js/turkish-text');
+
+const TYPES = ['amount', 'product', 'order_id', 'email'];
+const MARKERS = ['from', 'to'];
+
+// Read before the others, their text is taken out of the message once matched
+const FIRST_TYPES = ['email', 'order_id'];
+
+// Number words in folded form
+const NUMBER_WORDS = {
+  bir: 1, iki: 2, uc: 3, dort: 4, bes: 5, alti: 6, yedi: 7, sekiz: 8, dokuz: 9,
+  on: 10, yirmi: 20, otuz: 30, kirk: 40, elli: 50, altmis: 60, yetmis: 70, seksen: 80, doksan: 90
+};
+const MULTIPLIERS = { yuz: 100, bin: 1000, k: 1000, milyon: 1000000, m: 1000000 };
+
+// Folded suffixes after a quantity, or after its "seviye": ablative "10'dan", dative "15'e"
+const MARKER_SUFFIXES = {
+  from: ['den', 'dan', 'ten', 'tan', 'seviyeden', 'seviyesinden', 'levelden'],
+  to: ['e', 'a', 'ye', 'ya', 'seviyeye', 'seviyesine', 'levele']
+};
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+
+const ORDER_ID_PATTERN = /(?:#\s*|\bno[:.]?\s*|\bnumara(?:si|m)?[:.]?\s*)?\b([a-z]{1,4}-?\d{4,}|\d{5,})\b/i;
+
+// a***@example.com
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+// "1.500" is fifteen hundred, "1,5" and "1.5" are one and a half
+function parseDigits(token) {
+  if (/^\d{1,3}(\.\d{3})+$/.test(token)) return parseInt(token.replace(/\./g, ''), 10);
+  return parseFloat(token.replace(',', '.'));
+}
+
+// 'from' / 'to' when the tokens after a quantity start with its suffix, otherwise null
+function markerAt(tokens, index) {
+  let next = tokens[index];
+  if (next === 'seviye' || next === 'level') next = tokens[index + 1];
+  return MARKERS.find(marker => MARKER_SUFFIXES[marker].includes(next)) || null;
+}
+
+// Every quantity in the text with its marker, in order: [{ value, marker }]
+function readAmounts(text) {
+  const tokens = TurkishText.normalize(text).match(/\d+(?:[.,]\d+)*|[a-z]+/g) || [];
+  const amounts = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const isDigits = /^\d/.test(token);
+    if (!isDigits && NUMBER_WORDS[token] === undefined && token !== 'yuz') continue;
+
+    // A number and the multipliers and number words that follow it: "1,5 bin", "beş yüz elli"
+    let total = 0;
+    let current = isDigits ? parseDigits(token) : (NUMBER_WORDS[token] || 1) * (MULTIPLIERS[token] || 1);
+    let words = isDigits ? 0 : 1;
+    let j = i + 1;
+
+    for (; j < tokens.length; j++) {
+      const next = tokens[j];
+      if (MULTIPLIERS[next] !== undefined) {
+        if (next === 'yuz') {
+          current = (current || 1) * 100;
+        } else {
+          total += (current || 1) * MULTIPLIERS[next];
+          current = 0;
+        }
+      } else if (!isDigits && NUMBER_WORDS[next] !== undefined) {
+        current += NUMBER_WORDS[next];
+      } else {
+        break;
+      }
+      words++;
+    }
+
+    // "bir" on its own is an article ("bir sorum var"), not a quantity
+    if (!isDigits && words === 1 && token === 'bir') continue;
+
+    const value = total + current;
+    if (Number.isFinite(value) && value > 0) amounts.push({ value, marker: markerAt(tokens, j) });
+    i = j - 1;
+  }
+
+  return amounts;
+}
+
+class SlotExtractor {
+  constructor(options = {}) {
+    this.products = options.products || [];
+  }
+
+  // Product names used by product slots without their own values
+  setProducts(products) {
+    this.products = products;
+  }
+
+  // First quantity in the text, null when there is none
+  static parseAmount(text) {
+    const [amount = null] = SlotExtractor.parseAmounts(text);
+    return amount;
+  }
+
+  // Every quantity in the text, in order
+  static parseAmounts(text) {
+    return readAmounts(text).map(amount => amount.value);
+  }
+
+  static parseEmail(text) {
+    const match = String(text || '').match(EMAIL_PATTERN);
+    return match ? match[0].toLowerCase() : null;
+  }
+
+  static parseOrderId(text) {
+    const match = String(text || '').match(ORDER_ID_PATTERN);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  // The value named in the text that appears first, in its defined spelling
+  static parseProduct(text, values) {
+    const tokens = TurkishText.analyze(text);
+    let best = null;
+
+    for (const value of values) {
+      const position = TurkishText.findKeyword(tokens, value);
+      if (position !== -1 && (!best || position < best.position)) {
+        best = { value, position };
+      }
+    }
+
+    return best ? best.value : null;
+  }
+
+  // { slotName: value } for the slots the text gives a valid value for
+  extract(text, slots = []) {
+    const values = {};
+    let rest = String(text || '');
+    let amounts = null;
+
+    // E-mail addresses and order numbers first, so their digits are not read as anything else
+    const rank = slot => (FIRST_TYPES.includes(slot.type) ? FIRST_TYPES.indexOf(slot.type) : FIRST_TYPES.length);
+    const ordered = [...slots].sort((a, b) => rank(a) - rank(b));
+
+    for (const slot of ordered) {
+      let value = null;
+
+      if (slot.type === 'email') {
+        value = SlotExtractor.parseEmail(rest);
+        if (value) rest = rest.replace(EMAIL_PATTERN, ' ');
+      } else if (slot.type === 'order_id') {
+        value = SlotExtractor.parseOrderId(rest);
+        if (value) rest = rest.replace(new RegExp(value, 'i'), ' ');
+      } else if (slot.type === 'amount') {
+        if (!amounts) amounts = readAmounts(rest);
+        // The quantity with the slot's suffix, else the first one without a suffix; unmarked slots take the next
+        let index = slot.marker ? amounts.findIndex(amount => amount.marker === slot.marker) : 0;
+        if (index === -1) index = amounts.findIndex(amount => !amount.marker);
+        const [amount] = index !== -1 ? amounts.splice(index, 1) : [];
+        value = amount ? amount.value : null;
+        if (value !== null && ((slot.min !== undefined && value < slot.min) || (slot.max !== undefined && value > slot.max))) {
+          value = null;
+        }
+      } else if (slot.type === 'product') {
+        value = SlotExtractor.parseProduct(rest, slot.values && slot.values.length > 0 ? slot.values : this.products);
+      }
+
+      if (value !== null) values[slot.name] = value;
+    }
+
+    return values;
+  }
+
+  // Slot values safe to store and show again: e-mail addresses are masked (a***@example.com)
+  static redact(values, slots = []) {
+    const redacted = { ...values };
+    for (const slot of slots) {
+      const value = redacted[slot.name];
+      if (slot.type === 'email' && typeof value === 'string') {
+        redacted[slot.name] = maskEmail(value);
+      }
+    }
+    return redacted;
+  }
+
+  // The visitor's message with its e-mail addresses masked when the slots ask for one
+  static redactText(text, slots = []) {
+    if (!slots.some(slot => slot.type === 'email')) return text;
+    return String(text || '').replace(new RegExp(EMAIL_PATTERN.source, 'gi'), maskEmail);
+  }
+
+  // "{amount} altın" -> "1.500 altın"; placeholders of slots without a value are dropped
+  static fill(template, values) {
+    return template
+      .replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return '';
+        return typeof value === 'number' ? value.toLocaleString('tr-TR') : String(value);
+      })
+      .replace(/ {2,}/g, ' ')
+      .trim();
+  }
+}
+
+SlotExtractor.TYPES = TYPES;
+SlotExtractor.MARKERS = MARKERS;
+
+module.exports = SlotExtractor;
@@ -0,0 +1,76 @@
+/**
+ * 🏚️ HayDay Chat System - Storage Calculator
+ * Materials needed to take the barn or the silo from one level to another, the calculation of the
+ * "Depolama Hesaplayıcısı" page.
+ *
+ * The upgrade table is a JSON file shipped with the project (storage-upgrades.json):
+ *   { "<building id>": { name, aliases, estimated, levels: [{ level, capacity, materials: { "<material>": count } }] } }
+ * `materials` of a level are what the upgrade *to* that level costs; level 1 is the starting building.
+ * `estimated` marks a table that is not the game's own data (the shipped one: a linear approximation);
+ * its answers say so. Drop the flag once the table holds the real costs.
+ */
+
+const { FileManager } = require('./file-manager');
+const TurkishText = require('../assets/js/turkish-text');
+
+class StorageCalculator {
+  constructor(options = {}) {
+    this.path = options.path || './storage-upgrades.json';
+    this.buildings = {};
+  }
+
+  async load() {
+    this.buildings = await FileManager.readJSONFile(this.path, {});
+    return this.buildings;
+  }
+
+  // { id, name, aliases, levels } by id, name or alias
+  findBuilding(name) {
+    const key = TurkishText.normalize(name || '').trim();
+    for (const [id, building] of Object.entries(this.buildings)) {
+      const spellings = [id, building.name, ...(building.aliases || [])];
+      if (spellings.some(spelling => TurkishText.normalize(spelling).trim() === key)) {
+        return { id, ...building };
+      }
+    }
+    return null;
+  }
+
+  // { status: 'ok', calculation } | 'unknown_building' | 'invalid_range' | 'unknown_level' (with maxLevel)
+  calculate(buildingName, fromLevel, toLevel) {
+    const building = this.findBuilding(buildingName);
+    if (!building) return { status: 'unknown_building' };
+    if (!(toLevel > fromLevel)) return { status: 'invalid_range', building: building.name };
+
+    const levels = new Map(building.levels.map(level => [level.level, level]));
+    const maxLevel = Math.max(...levels.keys());
+    if (!levels.has(fromLevel) || !levels.has(toLevel)) {
+      return { status: 'unknown_level', building: building.name, maxLevel };
+    }
+
+    const totals = new Map();
+    for (let level = fromLevel + 1; level <= toLevel; level++) {
+      const step = levels.get(level);
+      if (!step) return { status: 'unknown_level', building: building.name, maxLevel };
+
+      for (const [material, count] of Object.entries(step.materials || {})) {
+        totals.set(material, (totals.get(material) || 0) + count);
+      }
+    }
+
+    return {
+      status: 'ok',
+      calculation: {
+        type: 'storage',
+        building: building.name,
+        from: { level: fromLevel, capacity: levels.get(fromLevel).capacity },
+        to: { level: toLevel, capacity: levels.get(toLevel).capacity },
+        upgrades: toLevel - fromLevel,
+        estimated: !!building.estimated,
+        materials: [...totals].map(([name, amount]) => ({ name, amount }))
+      }
+    };
+  }
+}
+
+module.exports = StorageCalculator;
@@ -0,0 +1,414 @@
+/**
+ * 🗄️ HayDay Chat System - Storage Backends
+ * Chat log, knowledge base, analytics and admin session persistence.
+ *
+ * Every adapter implements the same async interface:
+ *   init(), close()
+ *   appendMessages(messages), getMessages({ clientId, after, since, limit }), countMessages()
+ *   getKnowledgeBase(defaultValue), saveKnowledgeBase(patterns)
+ *   getAnalytics(day), incrementAnalytics(day, role)
+ *   getAdminSession(token), saveAdminSession(token, session)
+ *   saveFeedback(feedback) -> false when the message was already rated, getFeedback({ clientId, messageId })
+ *   exportData(), importData(data)
+ *
+ * The backend is chosen with STORAGE_BACKEND (json | sqlite).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FileManager } = require('./file-manager');
+const { ChatJournal } = require('./chat-journal');
+const Logger = require('./logger');
+
+const DEFAULT_JSON_FILES = {
+  chatLog: './chat-log.json',
+  chatJournal: './chat-log.jsonl',
+  chatIndex: './chat-index',
+  knowledgeBase: './knowledge-base.json',
+  analytics: './analytics.json',
+  adminSessions: './admin-sessions.json',
+  messageFeedback: './message-feedback.json'
+};
+
+const EMPTY_DAY_STATS = { total: 0, chatbot: 0, ai: 0, admin: 0 };
+
+function filterMessages(messages, { clientId, after, since, limit } = {}) {
+  let result = messages.filter(msg =>
+    (!clientId || msg.clientId === clientId) &&
+    (after === undefined || msg.timestamp > after) &&
+    (since === undefined || msg.timestamp >= since)
+  );
+
+  if (limit && result.length > limit) {
+    result = result.slice(result.length - limit);
+  }
+
+  return result;
+}
+
+function filterFeedback(feedback, { clientId, messageId } = {}) {
+  return feedback.filter(item =>
+    (!clientId || item.clientId === clientId) &&
+    (!messageId || item.messageId === messageId)
+  );
+}
+
+// JSON files per collection, the chat log is an append-only JSONL journal
+// (chat-log.json is only read once, to seed a new journal)
+class JSONStorageAdapter {
+  constructor(files = {}, options = {}) {
+    this.name = 'json';
+    this.files = { ...DEFAULT_JSON_FILES, ...files };
+    this.journal = new ChatJournal({
+      journalPath: this.files.chatJournal,
+      indexDir: this.files.chatIndex,
+      legacyPath: this.files.chatLog,
+      compactIntervalMs: options.compactIntervalMs
+    });
+  }
+
+  async init() {
+    await this.journal.open();
+  }
+
+  async close() {
+    await this.journal.close();
+  }
+
+  async appendMessages(messages) {
+    return this.journal.append(messages);
+  }
+
+  async getMessages(query = {}) {
+    let messages;
+    if (query.clientId) {
+      messages = await this.journal.getClientMessages(query.clientId);
+    } else if (query.after !== undefined || query.since !== undefined) {
+      const threshold = query.after !== undefined ? query.after : query.since - 1;
+      messages = await this.journal.getMessagesAfter(threshold);
+    } else {
+      messages = await this.journal.readAll();
+    }
+    return filterMessages(messages, query);
+  }
+
+  async countMessages() {
+    return this.journal.count();
+  }
+
+  async getKnowledgeBase(defaultValue = []) {
+    return FileManager.readJSONFile(this.files.knowledgeBase, defaultValue);
+  }
+
+  async saveKnowledgeBase(patterns) {
+    return FileManager.writeJSONFile(this.files.knowledgeBase, patterns);
+  }
+
+  async getAnalytics(day) {
+    const analytics = await FileManager.readJSONFile(this.files.analytics, {});
+    return { ...EMPTY_DAY_STATS, ...analytics[day] };
+  }
+
+  async incrementAnalytics(day, role) {
+    await FileManager.updateJSONFile(this.files.analytics, {}, analytics => {
+      if (!analytics[day]) {
+        analytics[day] = { ...EMPTY_DAY_STATS };
+      }
+      analytics[day].total += 1;
+      analytics[day][role] = (analytics[day][role] || 0) + 1;
+    });
+    return true;
+  }
+
+  async getAdminSession(token) {
+    const sessions = await FileManager.readJSONFile(this.files.adminSessions, {});
+    return sessions[token] || null;
+  }
+
+  async saveAdminSession(token, session) {
+    await FileManager.updateJSONFile(this.files.adminSessions, {}, sessions => {
+      sessions[token] = session;
+    });
+    return true;
+  }
+
+  // Keyed by message id, one rating per message
+  async saveFeedback(feedback) {
+    let saved = false;
+    await FileManager.updateJSONFile(this.files.messageFeedback, {}, ratings => {
+      if (ratings[feedback.messageId]) return;
+      ratings[feedback.messageId] = feedback;
+      saved = true;
+    });
+    return saved;
+  }
+
+  async getFeedback(query = {}) {
+    const ratings = await FileManager.readJSONFile(this.files.messageFeedback, {});
+    return filterFeedback(Object.values(ratings), query);
+  }
+
+  async exportData() {
+    return {
+      chatLog: await this.journal.readAll(),
+      knowledgeBase: await FileManager.readJSONFile(this.files.knowledgeBase, []),
+      analytics: await FileManager.readJSONFile(this.files.analytics, {}),
+      adminSessions: await FileManager.readJSONFile(this.files.adminSessions, {}),
+      feedback: await this.getFeedback()
+    };
+  }
+
+  async importData(data) {
+    await this.journal.replace(data.chatLog || []);
+    await FileManager.writeJSONFile(this.files.knowledgeBase, data.knowledgeBase || []);
+    await FileManager.writeJSONFile(this.files.analytics, data.analytics || {});
+    await FileManager.writeJSONFile(this.files.adminSessions, data.adminSessions || {});
+
+    const ratings = {};
+    (data.feedback || []).forEach(feedback => { ratings[feedback.messageId] = feedback; });
+    await FileManager.writeJSONFile(this.files.messageFeedback, ratings);
+  }
+}
+
+// Embedded SQLite database (better-sqlite3), messages are indexed per client
+class SQLiteStorageAdapter {
+  constructor(dbPath = './data/hayday.db') {
+    this.name = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_client ON messages (client_id, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+
+      CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS analytics (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        token TEXT PRIMARY KEY,
+        expires INTEGER,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS feedback (
+        message_id TEXT PRIMARY KEY,
+        client_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_feedback_client ON feedback (client_id);
+    `);
+
+    this.statements = {
+      insertMessage: this.db.prepare('INSERT INTO messages (client_id, timestamp, data) VALUES (?, ?, ?)'),
+      countMessages: this.db.prepare('SELECT COUNT(*) AS count FROM messages'),
+      getDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+      putDocument: this.db.prepare('INSERT OR REPLACE INTO documents (name, data) VALUES (?, ?)'),
+      getAnalytics: this.db.prepare('SELECT data FROM analytics WHERE key = ?'),
+      putAnalytics: this.db.prepare('INSERT OR REPLACE INTO analytics (key, data) VALUES (?, ?)'),
+      allAnalytics: this.db.prepare('SELECT key, data FROM analytics'),
+      getSession: this.db.prepare('SELECT data FROM admin_sessions WHERE token = ?'),
+      putSession: this.db.prepare('INSERT OR REPLACE INTO admin_sessions (token, expires, data) VALUES (?, ?, ?)'),
+      allSessions: this.db.prepare('SELECT token, data FROM admin_sessions'),
+      insertFeedback: this.db.prepare('INSERT OR IGNORE INTO feedback (message_id, client_id, data) VALUES (?, ?, ?)')
+    };
+
+    this.insertMessages = this.db.transaction(messages => {
+      for (const msg of messages) {
+        this.statements.insertMessage.run(String(msg.clientId), Number(msg.timestamp) || 0, JSON.stringify(msg));
+      }
+    });
+
+    this.incrementDay = this.db.transaction((day, role) => {
+      const row = this.statements.getAnalytics.get(day);
+      const stats = row ? JSON.parse(row.data) : { ...EMPTY_DAY_STATS };
+      stats.total = (stats.total || 0) + 1;
+      stats[role] = (stats[role] || 0) + 1;
+      this.statements.putAnalytics.run(day, JSON.stringify(stats));
+    });
+
+    Logger.info(`SQLite storage opened: ${this.dbPath}`);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async appendMessages(messages) {
+    this.insertMessages(messages);
+    return true;
+  }
+
+  async getMessages({ clientId, after, since, limit } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (clientId) {
+      conditions.push('client_id = ?');
+      params.push(clientId);
+    }
+    if (after !== undefined) {
+      conditions.push('timestamp > ?');
+      params.push(after);
+    }
+    if (since !== undefined) {
+      conditions.push('timestamp >= ?');
+      params.push(since);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    let sql = `SELECT data FROM messages ${where} ORDER BY id`;
+
+    if (limit) {
+      sql = `SELECT data FROM (SELECT id, data FROM messages ${where} ORDER BY id DESC LIMIT ?) ORDER BY id`;
+      params.push(limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  async countMessages() {
+    return this.statements.countMessages.get().count;
+  }
+
+  async getKnowledgeBase(defaultValue = []) {
+    const row = this.statements.getDocument.get('knowledgeBase');
+    if (!row) {
+      await this.saveKnowledgeBase(defaultValue);
+      return defaultValue;
+    }
+    return JSON.parse(row.data);
+  }
+
+  async saveKnowledgeBase(patterns) {
+    this.statements.putDocument.run('knowledgeBase', JSON.stringify(patterns));
+    return true;
+  }
+
+  async getAnalytics(day) {
+    const row = this.statements.getAnalytics.get(day);
+    return { ...EMPTY_DAY_STATS, ...(row ? JSON.parse(row.data) : {}) };
+  }
+
+  async incrementAnalytics(day, role) {
+    this.incrementDay(day, role);
+    return true;
+  }
+
+  async getAdminSession(token) {
+    const row = this.statements.getSession.get(token);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveAdminSession(token, session) {
+    this.statements.putSession.run(token, session.expires || null, JSON.stringify(session));
+    return true;
+  }
+
+  async saveFeedback(feedback) {
+    const result = this.statements.insertFeedback.run(feedback.messageId, String(feedback.clientId), JSON.stringify(feedback));
+    return result.changes > 0;
+  }
+
+  async getFeedback({ clientId, messageId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (clientId) {
+      conditions.push('client_id = ?');
+      params.push(clientId);
+    }
+    if (messageId) {
+      conditions.push('message_id = ?');
+      params.push(messageId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT data FROM feedback ${where}`).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  async exportData() {
+    const analytics = {};
+    for (const row of this.statements.allAnalytics.all()) {
+      analytics[row.key] = JSON.parse(row.data);
+    }
+
+    const adminSessions = {};
+    for (const row of this.statements.allSessions.all()) {
+      adminSessions[row.token] = JSON.parse(row.data);
+    }
+
+    return {
+      chatLog: await this.getMessages(),
+      knowledgeBase: await this.getKnowledgeBase([]),
+      analytics,
+      adminSessions,
+      feedback: await this.getFeedback()
+    };
+  }
+
+  async importData(data) {
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM messages; DELETE FROM analytics; DELETE FROM admin_sessions; DELETE FROM feedback;');
+      this.insertMessages(data.chatLog || []);
+      this.statements.putDocument.run('knowledgeBase', JSON.stringify(data.knowledgeBase || []));
+      for (const [key, value] of Object.entries(data.analytics || {})) {
+        this.statements.putAnalytics.run(key, JSON.stringify(value));
+      }
+      for (const [token, session] of Object.entries(data.adminSessions || {})) {
+        this.statements.putSession.run(token, session.expires || null, JSON.stringify(session));
+      }
+      for (const feedback of data.feedback || []) {
+        this.statements.insertFeedback.run(feedback.messageId, String(feedback.clientId), JSON.stringify(feedback));
+      }
+    })();
+  }
+}
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'json', options = {}) {
+  switch (backend) {
+    case 'json':
+      return new JSONStorageAdapter(options.files, {
+        compactIntervalMs: parseInt(process.env.CHAT_COMPACT_INTERVAL_MS) || 60000
+      });
+    case 'sqlite':
+      return new SQLiteStorageAdapter(options.sqlitePath || process.env.SQLITE_PATH);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  JSONStorageAdapter,
+  SQLiteStorageAdapter,
+  createStorage
+};
@@ -0,0 +1,64 @@
+/**
+ * 🗄️ HayDay Chat System - Storage Migration
+ * Copies chat log, knowledge base, analytics, admin sessions and feedback between backends
+ *
+ * Usage: node migrate-storage.js [--from json] [--to sqlite]
+ */
+
+require('dotenv').config();
+
+const { createStorage } = require('./lib/storage');
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'sqlite' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') options.from = argv[++i];
+    if (argv[i] === '--to') options.to = argv[++i];
+  }
+
+  return options;
+}
+
+async function migrate({ from, to }) {
+  if (from === to) {
+    throw new Error('Source and target backends must differ');
+  }
+
+  const source = createStorage(from);
+  const target = createStorage(to);
+
+  await source.init();
+  await target.init();
+
+  try {
+    console.log(`🗄️ Migrating storage: ${from} → ${to}`);
+
+    const data = await source.exportData();
+    await target.importData(data);
+
+    console.log(`✅ Chat log: ${data.chatLog.length} messages`);
+    console.log(`✅ Knowledge base: ${data.knowledgeBase.length} patterns`);
+    console.log(`✅ Analytics: ${Object.keys(data.analytics).length} entries`);
+    console.log(`✅ Admin sessions: ${Object.keys(data.adminSessions).length} sessions`);
+    console.log(`✅ Feedback: ${(data.feedback || []).length} ratings`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  migrate(parseArgs(process.argv.slice(2)))
+    .then(() => {
+      console.log('🎉 Migration completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
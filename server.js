@@ -1,140 +1,41 @@
+const fs = require('fs').promises;
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
-const fs = require('fs').promises;
-const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
 
 // Load environment variables
 require('dotenv').config();
 
+const Logger = require('./lib/logger');
+const { FileManager } = require('./lib/file-manager');
+const { createStorage } = require('./lib/storage');
+const ChatEvents = require('./lib/chat-events');
+const { ConversationContext } = require('./lib/conversation-context');
+const { createLLMProvider } = require('./lib/llm');
+const PatternRetriever = require('./lib/pattern-retriever');
+const KnowledgeVersions = require('./lib/knowledge-versions');
+const PatternReviewQueue = require('./lib/pattern-review');
+const SiteContentIndex = require('./lib/site-content');
+const SlotExtractor = require('./lib/slot-extractor');
+const { OrderLookup, createOrderAdapter } = require('./lib/order-lookup');
+const ProductCatalog = require('./lib/product-catalog');
+const StorageCalculator = require('./lib/storage-calculator');
+const RichMessage = require('./lib/rich-message');
+const { SemanticMatcher, createEmbedder } = require('./lib/semantic-matcher');
+const TurkishText = require('./assets/js/turkish-text');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Enhanced Logging System
-class Logger {
-  static levels = { error: 0, warn: 1, info: 2, debug: 3 };
-  static currentLevel = Logger.levels[process.env.LOG_LEVEL] || Logger.levels.info;
-
-  static log(level, message, meta = {}) {
-    if (Logger.levels[level] <= Logger.currentLevel) {
-      const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, meta.error ? meta.error.stack : '');
-    }
-  }
-
-  static error(message, error, meta = {}) {
-    Logger.log('error', message, { error, ...meta });
-  }
-
-  static warn(message, meta = {}) {
-    Logger.log('warn', message, meta);
-  }
-
-  static info(message, meta = {}) {
-    Logger.log('info', message, meta);
-  }
-
-  static debug(message, meta = {}) {
-    Logger.log('debug', message, meta);
-  }
-}
-
-// File Locking Mechanism
-class FileLock {
-  static locks = new Map();
-
-  static async acquire(filePath) {
-    const lockKey = path.resolve(filePath);
-    
-    if (FileLock.locks.has(lockKey)) {
-      // Wait for existing lock to be released
-      await new Promise(resolve => {
-        const checkLock = () => {
-          if (!FileLock.locks.has(lockKey)) {
-            resolve();
-          } else {
-            setTimeout(checkLock, 10);
-          }
-        };
-        checkLock();
-      });
-    }
-    
-    FileLock.locks.set(lockKey, Date.now());
-    Logger.debug(`File lock acquired: ${lockKey}`);
-  }
-
-  static release(filePath) {
-    const lockKey = path.resolve(filePath);
-    FileLock.locks.delete(lockKey);
-    Logger.debug(`File lock released: ${lockKey}`);
-  }
-}
-
-// Enhanced File Manager
-class FileManager {
-  static async readJSONFile(filePath, defaultValue = []) {
-    try {
-      await FileLock.acquire(filePath);
-      
-      try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          await FileManager.writeJSONFile(filePath, defaultValue);
-          return defaultValue;
-        }
-        throw error;
-      }
-    } catch (error) {
-      Logger.error(`Failed to read file: ${filePath}`, error);
-      return defaultValue;
-    } finally {
-      FileLock.release(filePath);
-    }
-  }
-
-  static async writeJSONFile(filePath, data) {
-    try {
-      await FileLock.acquire(filePath);
-      
-      const tempPath = `${filePath}.tmp.${Date.now()}`;
-      const jsonData = JSON.stringify(data, null, 2);
-      
-      await fs.writeFile(tempPath, jsonData, 'utf8');
-      await fs.rename(tempPath, filePath);
-      
-      return true;
-    } catch (error) {
-      Logger.error(`Failed to write file: ${filePath}`, error);
-      return false;
-    } finally {
-      FileLock.release(filePath);
-    }
-  }
-}
-
-// Initialize OpenAI
-let openai = null;
-if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your-openai-api-key-here') {
-  try {
-    const { OpenAI } = require('openai');
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 10000,
-      maxRetries: 2
-    });
-    Logger.info('OpenAI initialized successfully');
-  } catch (error) {
-    Logger.error('OpenAI initialization failed', error);
-  }
-} else {
-  Logger.warn('OpenAI API key not provided');
+// Initialize LLM provider (LLM_PROVIDER: openai, OpenAI-compatible local server or mock)
+const llm = createLLMProvider(process.env.LLM_PROVIDER);
+if (llm) {
+  Logger.info(`LLM provider initialized: ${llm.name} (${llm.model})`);
 }
 
 // Initialize Telegram Bot
@@ -150,7 +51,10 @@ if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_BOT_TOKEN !== 'your-t
       setTimeout(async () => {
         try {
           const webhookUrl = `${process.env.RENDER_EXTERNAL_URL}/webhook/telegram`;
-          await telegramBot.setWebHook(webhookUrl);
+          const webhookOptions = process.env.TELEGRAM_WEBHOOK_SECRET
+            ? { secret_token: process.env.TELEGRAM_WEBHOOK_SECRET }
+            : {};
+          await telegramBot.setWebHook(webhookUrl, webhookOptions);
           Logger.info('Telegram webhook set successfully');
         } catch (err) {
           Logger.error('Telegram webhook setup failed', err);
@@ -195,6 +99,28 @@ app.use((req, res, next) => {
   next();
 });
 
+// Data files share the project root with the pages: chat log, sessions, orders, summaries ...
+// They are never served, whatever .gitignore says about them
+const PRIVATE_FILE_PATTERN = /\.(json|jsonl|csv|db|sqlite|lock|log)(?=$|[.-])/i;
+const PRIVATE_DIRECTORIES = ['data', 'chat-index'];
+
+app.use((req, res, next) => {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(req.path);
+  } catch (error) {
+    return res.status(400).json({ error: 'Bad request' });
+  }
+
+  const segments = requestPath.split(/[\\/]+/).filter(Boolean);
+  const isPrivate = segments.some(segment => PRIVATE_FILE_PATTERN.test(segment)) ||
+    (segments.length > 0 && PRIVATE_DIRECTORIES.includes(segments[0].toLowerCase()));
+  if (isPrivate && !requestPath.startsWith('/api/')) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+});
+
 // Serve static files
 app.use(express.static('.', {
   setHeaders: (res, filePath) => {
@@ -215,517 +141,2868 @@ const chatLimiter = rateLimit({
   message: { error: 'Too many requests' }
 });
 
+const aiLimiter = rateLimit({
+  windowMs: 60000,
+  max: 30,
+  message: { error: 'Too many requests' }
+});
+
 app.use('/api/chat/', chatLimiter);
+app.use('/api/ai/', aiLimiter);
 
 // File paths
 const FILES = {
   chatLog: './chat-log.json',
+  chatJournal: './chat-log.jsonl',
+  chatIndex: './chat-index',
   knowledgeBase: './knowledge-base.json',
   analytics: './analytics.json',
-  adminSessions: './admin-sessions.json'
+  adminSessions: './admin-sessions.json',
+  patternProposals: './pattern-proposals.json',
+  takeovers: './takeovers.json',
+  telegramThreads: './telegram-threads.json',
+  // Customer conversation content, kept under data/ with the other private files
+  conversationSummaries: process.env.CONVERSATION_SUMMARIES_PATH || './data/conversation-summaries.json',
+  messageFeedback: './message-feedback.json',
+  knowledgeVectors: process.env.EMBEDDING_CACHE_PATH || './knowledge-vectors.json',
+  knowledgeVersions: './knowledge-versions.json',
+  siteContent: process.env.SITE_CONTENT_DIR || './site-content',
+  productCatalog: process.env.PRODUCT_CATALOG_PATH || './product-catalog.json',
+  storageUpgrades: process.env.STORAGE_UPGRADES_PATH || './storage-upgrades.json'
 };
 
+// Chat log, knowledge base, analytics and admin sessions (STORAGE_BACKEND=json|sqlite)
+const storage = createStorage(process.env.STORAGE_BACKEND || 'json', {
+  files: FILES,
+  sqlitePath: process.env.SQLITE_PATH
+});
+
+const MAX_PATTERN_PROPOSALS = 500;
+const MAX_KNOWLEDGE_VERSIONS = 200;
+const MAX_TELEGRAM_THREADS = 1000;
+const STREAM_HEARTBEAT_MS = 25000;
+const ACTIVE_CONVERSATION_MS = 30 * 60 * 1000;
+// Usage counters and feedback are written to the knowledge base at most this often
+const STATS_SAVE_DELAY_MS = 5000;
+// A slot prompt is asked this often before the bot gives up on the intent
+const MAX_SLOT_ATTEMPTS = 2;
+const MAX_DIALOGUES = 10000;
+// Folded words that abandon a half-filled intent
+const CANCEL_WORDS = ['vazgec', 'vazgectim', 'iptal', 'bosver'];
+
+// AI answers at least this confident are queued as knowledge-base proposals for review
+const AI_LEARNING = {
+  enabled: process.env.AI_LEARNING !== 'false',
+  minConfidence: parseFloat(process.env.AI_LEARNING_MIN_CONFIDENCE) || 0.8
+};
+// Confidence of an AI answer when the provider reports no log-probabilities
+const DEFAULT_AI_CONFIDENCE = 0.75;
+// Phrases of an answer that does not really know, in folded form
+const HEDGING_PHRASES = [
+  'emin degilim', 'bilmiyorum', 'bilemiyorum', 'bilgim yok', 'bilgiye sahip degilim',
+  'yardimci olamiyorum', 'yardimci olamam', 'maalesef'
+];
+
+// Knowledge-base entries and site-content chunks put into the prompt of an AI answer
+const RAG = {
+  knowledgeTopK: parseInt(process.env.RAG_KNOWLEDGE_TOP_K) || 3,
+  documentTopK: parseInt(process.env.RAG_DOCUMENT_TOP_K) || 3,
+  minStrength: parseFloat(process.env.RAG_MIN_STRENGTH) || 0.3
+};
+
+// Hosts the AI may link to with [[buton: ...]]; none when unset, its quick replies always pass
+const AI_LINK_HOSTS = (process.env.AI_LINK_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const chatEvents = new ChatEvents();
+
 // ChatBot Brain
 class ChatBotBrain {
   constructor() {
     this.knowledgeBase = [];
-    this.confidenceThreshold = 0.7;
-    this.loadKnowledgeBase();
+    this.confidenceThreshold = parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || 0.7;
+    this.topK = parseInt(process.env.MATCH_TOP_K) || 3;
+    this.retriever = new PatternRetriever({
+      fuzzy: {
+        enabled: process.env.FUZZY_MATCHING !== 'false',
+        minLength: parseInt(process.env.FUZZY_MIN_LENGTH) || 4,
+        maxDistance: parseInt(process.env.FUZZY_MAX_DISTANCE) || 2
+      },
+      alternativesOf: pattern => this.productKeywords(pattern)
+    });
+
+    this.versions = new KnowledgeVersions({
+      path: FILES.knowledgeVersions,
+      maxVersions: MAX_KNOWLEDGE_VERSIONS
+    });
+
+    const embedder = createEmbedder(process.env.EMBEDDING_PROVIDER);
+    this.semanticMatcher = embedder ? new SemanticMatcher({
+      embedder,
+      cachePath: FILES.knowledgeVectors,
+      minSimilarity: parseFloat(process.env.SEMANTIC_MIN_SIMILARITY) || undefined,
+      fullSimilarity: parseFloat(process.env.SEMANTIC_FULL_SIMILARITY) || undefined
+    }) : null;
+
+    // Step of each feedback on successRate and confidence
+    this.learningRate = parseFloat(process.env.LEARNING_RATE) || 0.1;
+    // Confidence only grows while the success rate stays at or above this
+    this.successThreshold = parseFloat(process.env.PATTERN_SUCCESS_THRESHOLD) || 0.8;
+    this.statsTimer = null;
+
+    // Intents waiting for slots: clientId -> { patternId, values, attempts, confidence, updatedAt }
+    this.slotExtractor = new SlotExtractor();
+    this.dialogues = new Map();
+    this.dialogueTimeout = parseInt(process.env.DIALOGUE_TIMEOUT_MS) || 10 * 60 * 1000;
+    // Intent `action` name -> async (slots, { clientId, pattern, message }) -> answer text, or
+    // { response, calculation?, rich? } with a breakdown or rich parts for the widget; null to use the template
+    this.intentActions = new Map();
   }
 
-  async loadKnowledgeBase() {
-    this.knowledgeBase = await FileManager.readJSONFile(FILES.knowledgeBase, [
+  async loadKnowledgeBase(author = 'system') {
+    // Unsaved counters must not overwrite the file being (re)loaded
+    this.cancelStatsSave();
+
+    this.knowledgeBase = await storage.getKnowledgeBase([
       {
         keywords: ['merhaba', 'selam', 'hey', 'hi'],
         response: 'Merhaba! HayDay Malzemeleri destek ekibine hoş geldiniz. Size nasıl yardımcı olabilirim?',
+        examples: ['İyi günler', 'Selamlar, bir sorum olacaktı'],
         confidence: 0.9,
         usage: 0
       },
       {
         keywords: ['altın', 'para', 'transfer'],
         response: 'Altın transferi hakkında detaylı bilgi için "Sorular & İletişim" sayfamızı ziyaret edebilirsiniz.',
+        examples: ['Hesabıma altın yükleyebilir misiniz?', 'Altın nasıl gönderiliyor?'],
         confidence: 0.8,
         usage: 0
       },
       {
         keywords: ['fiyat', 'ücret', 'ne kadar'],
         response: 'Ürün fiyatları için "Ürün Listenizi Oluşturun" sayfasını inceleyebilirsiniz.',
+        examples: ['Bu ürün kaç lira?', 'Fiyat listesi var mı?'],
         confidence: 0.8,
         usage: 0
       },
       {
         keywords: ['depolama', 'ağıl', 'ambar'],
         response: 'Depolama hesaplamaları için "Depolama Hesaplayıcısı" sayfamızı kullanabilirsiniz.',
+        examples: ['Ambarım doldu, ne yapmalıyım?', 'Depo kapasitemi nasıl hesaplarım?'],
         confidence: 0.8,
         usage: 0
       },
       {
         keywords: ['makine', 'üretim', 'seviye'],
         response: 'Makine bilgileri için "Makineler" sayfamızdan detaylı bilgi alabilirsiniz.',
+        examples: ['Fırını kaçıncı seviyede açabilirim?', 'Hangi makineyi önce almalıyım?'],
         confidence: 0.8,
         usage: 0
       }
     ]);
+
+    // Entries written by hand may lack an id, the admin API needs one
+    const missingIds = this.knowledgeBase.filter(pattern => !pattern.id);
+    missingIds.forEach(pattern => { pattern.id = uuidv4(); });
+    if (missingIds.length > 0) {
+      await storage.saveKnowledgeBase(this.knowledgeBase);
+    }
+
+    this.reindex();
+
+    // First start, or the file was edited by hand since the last recorded version
+    await this.recordVersion({ author, source: 'file', action: 'loaded' });
   }
 
-  analyzeMessage(message) {
-    const lowerMessage = message.toLowerCase();
-    let bestMatch = null;
-    let highestScore = 0;
+  // An intent asking for a product without its own list is also found by the shared product names
+  productKeywords(pattern) {
+    const asksProduct = ChatBotBrain.isIntent(pattern) &&
+      pattern.slots.some(slot => slot.type === 'product' && !(slot.values && slot.values.length > 0));
+    return asksProduct ? this.slotExtractor.products : [];
+  }
 
-    for (const pattern of this.knowledgeBase) {
-      let score = 0;
-      for (const keyword of pattern.keywords) {
-        if (lowerMessage.includes(keyword.toLowerCase())) {
-          score += 1;
-        }
-      }
-      
-      if (score > 0) {
-        const confidence = (score / pattern.keywords.length) * pattern.confidence;
-        if (confidence > highestScore) {
-          highestScore = confidence;
-          bestMatch = { ...pattern, calculatedConfidence: confidence };
-        }
+  // Product names for product slots without values, from the product catalog
+  setProducts(names) {
+    this.slotExtractor.setProducts(names);
+    this.reindex();
+  }
+
+  // The keyword index is rebuilt at once, embeddings in the background (the model may need a download first)
+  reindex() {
+    this.retriever.index(this.knowledgeBase);
+
+    if (this.semanticMatcher) {
+      this.semanticIndexing = this.semanticMatcher.index(this.knowledgeBase).catch(error => {
+        Logger.warn(`Semantic index failed, matching on keywords only: ${error.message}`);
+      });
+    }
+  }
+
+  // Keyword side: BM25 over keywords, example questions and responses, typo tolerant (lib/pattern-retriever.js).
+  // Semantic side: embedding similarity to the example questions (lib/semantic-matcher.js), when enabled.
+  // Each side gives a 0..1 strength; they add up as evidence, -ln(1 - strength), so either can carry a
+  // match and agreement raises it. The result is weighted by the pattern's own confidence.
+  async analyzeMessage(message) {
+    const keywordResults = this.retriever.search(message, this.knowledgeBase.length);
+    const semanticResults = await this.searchSemantic(message);
+
+    const byPattern = new Map();
+    const candidateFor = pattern => {
+      if (!byPattern.has(pattern)) {
+        byPattern.set(pattern, {
+          pattern,
+          score: 0,
+          keywordStrength: 0,
+          similarity: null,
+          semanticStrength: 0,
+          matchedKeywords: [],
+          variants: []
+        });
       }
+      return byPattern.get(pattern);
+    };
+
+    for (const result of keywordResults) {
+      Object.assign(candidateFor(result.pattern), {
+        score: result.score,
+        keywordStrength: result.strength,
+        matchedKeywords: result.matchedKeywords,
+        variants: result.variants
+      });
+    }
+    for (const result of semanticResults) {
+      Object.assign(candidateFor(result.pattern), {
+        similarity: result.similarity,
+        semanticStrength: result.strength
+      });
+    }
+
+    const ranked = [...byPattern.values()]
+      .map(candidate => {
+        const evidence = -Math.log(1 - candidate.keywordStrength) - Math.log(1 - candidate.semanticStrength);
+        return { ...candidate, evidence, strength: 1 - Math.exp(-evidence) };
+      })
+      .sort((a, b) => b.evidence - a.evidence)
+      .slice(0, this.topK);
+
+    const candidates = ranked.map(candidate => ({
+      id: candidate.pattern.id,
+      keywords: candidate.pattern.keywords,
+      response: candidate.pattern.response,
+      slots: candidate.pattern.slots,
+      score: candidate.score,
+      similarity: candidate.similarity,
+      confidence: candidate.strength * ChatBotBrain.patternWeight(candidate.pattern)
+    }));
+
+    if (ranked.length === 0) {
+      return { match: null, confidence: 0, shouldEscalate: true, candidates };
     }
 
+    const top = ranked[0];
+    // Evidence is proportional to the BM25 score, so the retriever's ambiguity penalty applies as is
+    const confidence = this.retriever.confidence(ranked.map(candidate => ({
+      score: candidate.evidence,
+      strength: candidate.strength
+    }))) * ChatBotBrain.patternWeight(top.pattern);
+
     return {
-      match: bestMatch,
-      confidence: highestScore,
-      shouldEscalate: highestScore < this.confidenceThreshold
+      match: {
+        ...top.pattern,
+        calculatedConfidence: confidence,
+        matchedKeywords: top.matchedKeywords,
+        // Misspelled words that were matched to a keyword: { input, term, keyword, distance }
+        variants: top.variants,
+        score: top.score,
+        similarity: top.similarity
+      },
+      confidence,
+      shouldEscalate: confidence < this.confidenceThreshold,
+      candidates
     };
   }
-}
 
-// AI Processor
-class AIProcessor {
-  constructor() {
-    this.available = !!openai;
-  }
+  async searchSemantic(message) {
+    if (!this.semanticMatcher || !this.semanticMatcher.ready) return [];
 
-  async processMessage(message) {
-    if (!this.available) {
-      return {
-        response: 'AI sistemi şu anda kullanılamıyor. Lütfen Sorular & İletişim sayfamızdan bize ulaşın.',
-        confidence: 0.3,
-        tokensUsed: 0
-      };
+    try {
+      return await this.semanticMatcher.search(message, this.topK);
+    } catch (error) {
+      Logger.warn(`Semantic matching failed: ${error.message}`);
+      return [];
     }
+  }
 
-    try {
-      const systemPrompt = `Sen HayDay oyununun uzmanı ve HayDay Malzemeleri sitesinin müşteri destek asistanısın.
+  // Dialogue state: an entry with `slots` is an intent, answered once every required slot has a value.
+  // Missing slots are asked for with their prompts, one per turn, and filled from the next messages.
+
+  // analyzeMessage for one visitor's turn; `intent` is set when the answer comes from an intent
+  async analyzeTurn(clientId, message) {
+    const analysis = await this.analyzeMessage(message);
+    const dialogue = this.activeDialogue(clientId);
+
+    if (dialogue) {
+      const { pattern, state } = dialogue;
+
+      if (CANCEL_WORDS.some(word => TurkishText.tokenize(message).includes(word))) {
+        this.dialogues.delete(clientId);
+        return {
+          ...analysis,
+          match: { ...pattern, calculatedConfidence: state.confidence },
+          confidence: state.confidence,
+          shouldEscalate: false,
+          intent: {
+            name: pattern.intent,
+            slots: state.values,
+            missing: [],
+            complete: false,
+            cancelled: true,
+            response: 'Tamam, vazgeçtik. Başka nasıl yardımcı olabilirim?'
+          }
+        };
+      }
 
-🎯 Görevin:
-- HayDay oyunu ile ilgili soruları yanıtlamak
-- Müşterileri doğru sayfalara yönlendirmek
-- Türkçe, kibar ve kısa yanıtlar vermek
+      const values = this.slotExtractor.extract(message, this.missingSlots(pattern, state.values));
+      const filled = Object.keys(values).length > 0;
+      // A confidently matched other question changes the subject
+      const switched = analysis.match && !analysis.shouldEscalate && analysis.match.id !== pattern.id;
+
+      if (filled || (!switched && state.attempts < MAX_SLOT_ATTEMPTS)) {
+        return {
+          ...analysis,
+          match: { ...pattern, calculatedConfidence: state.confidence },
+          confidence: state.confidence,
+          shouldEscalate: false,
+          intent: await this.advanceIntent(clientId, pattern, { ...state.values, ...values }, {
+            attempts: filled ? 0 : state.attempts + 1,
+            confidence: state.confidence,
+            message
+          })
+        };
+      }
+
+      this.dialogues.delete(clientId);
+    }
 
-📚 Site sayfaları:
-- Altın/para konuları: "Sorular & İletişim" sayfası
-- Ürün fiyatları: "Ürün Listenizi Oluşturun" sayfası
-- Depolama hesaplama: "Depolama Hesaplayıcısı" sayfası
-- Makine bilgileri: "Makineler" sayfası
-
-🚫 HayDay dışı konularda yardım etme, kibarca reddet.`;
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
+    if (analysis.match && !analysis.shouldEscalate && ChatBotBrain.isIntent(analysis.match)) {
+      const pattern = this.getEntry(analysis.match.id);
+      analysis.intent = await this.advanceIntent(clientId, pattern, this.slotExtractor.extract(message, pattern.slots), {
+        attempts: 0,
+        confidence: analysis.confidence,
+        message
       });
+    }
 
+    return analysis;
+  }
+
+  // The answer when every required slot has a value, otherwise the prompt of the first missing one
+  async advanceIntent(clientId, pattern, values, { attempts, confidence, message }) {
+    const missing = this.missingSlots(pattern, values);
+
+    if (missing.length === 0) {
+      this.dialogues.delete(clientId);
+      const result = await this.runAction(clientId, pattern, values, message);
       return {
-        response: completion.choices[0].message.content,
-        confidence: 0.85,
-        tokensUsed: completion.usage.total_tokens
-      };
-    } catch (error) {
-      Logger.error('OpenAI Error:', error);
-      return {
-        response: 'Üzgünüm, şu anda teknik bir sorun yaşıyorum. Lütfen biraz sonra tekrar deneyin.',
-        confidence: 0.3,
-        tokensUsed: 0
+        name: pattern.intent,
+        slots: SlotExtractor.redact(values, pattern.slots),
+        missing: [],
+        complete: true,
+        response: result ? result.response : SlotExtractor.fill(pattern.response, values),
+        calculation: result && result.calculation ? result.calculation : null,
+        rich: result && result.rich ? RichMessage.normalize(result.rich) : null
       };
     }
+
+    this.dialogues.set(clientId, { patternId: pattern.id, values, attempts, confidence, updatedAt: Date.now() });
+    this.pruneDialogues();
+
+    return {
+      name: pattern.intent,
+      slots: SlotExtractor.redact(values, pattern.slots),
+      missing: missing.map(slot => slot.name),
+      complete: false,
+      response: missing[0].prompt
+    };
   }
-}
 
-// Telegram Manager
-class TelegramManager {
-  constructor() {
-    this.authCodes = new Map();
-    this.available = !!telegramBot;
+  registerAction(name, handler) {
+    this.intentActions.set(name, handler);
   }
 
-  async sendAuthCode(telegramId) {
-    if (!this.available) return false;
+  hasAction(name) {
+    return this.intentActions.has(name);
+  }
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    this.authCodes.set(telegramId, {
-      code: code,
-      expires: Date.now() + 5 * 60 * 1000
-    });
+  // { response, calculation, rich } of the entry's action, null when it has none, gave none or failed
+  async runAction(clientId, pattern, values, message) {
+    if (!pattern.action) return null;
+
+    const handler = this.intentActions.get(pattern.action);
+    if (!handler) {
+      Logger.warn(`Unknown intent action: ${pattern.action}`);
+      return null;
+    }
 
-    const message = `🔐 HayDay Admin Panel\n\n🔑 Giriş kodunuz: ${code}\n⏰ 5 dakika geçerli`;
-    
     try {
-      await telegramBot.sendMessage(telegramId, message);
-      return true;
+      const result = await handler(values, { clientId, pattern, message });
+      if (!result) return null;
+      return typeof result === 'string' ? { response: result } : result;
     } catch (error) {
-      Logger.error('Telegram send error:', error);
-      return false;
+      Logger.error(`Intent action failed: ${pattern.action}`, error);
+      return null;
     }
   }
 
-  verifyAuthCode(telegramId, code) {
-    const authData = this.authCodes.get(telegramId);
-    if (!authData) return false;
-    if (Date.now() > authData.expires) {
-      this.authCodes.delete(telegramId);
-      return false;
-    }
-    if (authData.code === code) {
-      this.authCodes.delete(telegramId);
-      return true;
+  activeDialogue(clientId) {
+    const state = this.dialogues.get(clientId);
+    if (!state) return null;
+
+    const pattern = this.getEntry(state.patternId);
+    if (!pattern || !ChatBotBrain.isIntent(pattern) || Date.now() - state.updatedAt > this.dialogueTimeout) {
+      this.dialogues.delete(clientId);
+      return null;
     }
-    return false;
+    return { pattern, state };
   }
 
-  async notifyNewMessage(userMessage, response, role) {
-    if (!this.available || !process.env.ADMIN_TELEGRAM_ID) return;
+  missingSlots(pattern, values) {
+    return pattern.slots.filter(slot => slot.required !== false && (values[slot.name] === undefined || values[slot.name] === null));
+  }
 
-    const shortMessage = userMessage.length > 50 ? 
-      userMessage.substring(0, 50) + '...' : userMessage;
-    
-    const message = `💬 Yeni mesaj\n\n👤 "${shortMessage}"\n🤖 ${role === 'chatbot' ? 'Bot' : role === 'ai' ? 'AI' : 'Admin'} yanıtladı`;
-    
-    try {
-      await telegramBot.sendMessage(process.env.ADMIN_TELEGRAM_ID, message);
-    } catch (error) {
-      Logger.error('Telegram notification error:', error);
+  pruneDialogues() {
+    if (this.dialogues.size <= MAX_DIALOGUES) return;
+
+    const now = Date.now();
+    for (const [clientId, state] of this.dialogues) {
+      if (now - state.updatedAt > this.dialogueTimeout) this.dialogues.delete(clientId);
     }
   }
-}
 
-// Initialize systems
-const chatBot = new ChatBotBrain();
-const aiProcessor = openai ? new AIProcessor() : null;
-telegramManager = telegramBot ? new TelegramManager() : null;
+  static isIntent(pattern) {
+    return Array.isArray(pattern.slots) && pattern.slots.length > 0;
+  }
 
-// API Routes
+  // Public view of the patterns for the frontend pre-check cache.
+  // Intents are left out, their answers need the server-side dialogue
+  getPatterns() {
+    return this.knowledgeBase.filter(pattern => !ChatBotBrain.isIntent(pattern)).map(pattern => ({
+      keywords: pattern.keywords,
+      response: pattern.response,
+      confidence: pattern.confidence,
+      usage: pattern.usage || 0,
+      successRate: pattern.successRate
+    }));
+  }
 
-// Health check
-app.get('/ping', async (req, res) => {
-  try {
-    const healthCheck = {
-      ok: true,
-      timestamp: Date.now(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      environment: process.env.NODE_ENV || 'development',
-      services: {
-        openai: !!openai,
-        telegram: !!telegramBot
+  // Patterns are identified by their keyword set, same as the frontend cache
+  findPattern(keywords) {
+    const key = ChatBotBrain.patternKey(keywords);
+    return this.knowledgeBase.find(pattern => ChatBotBrain.patternKey(pattern.keywords) === key);
+  }
+
+  async upsertPattern(data, source, author = 'system', action = null) {
+    const existing = this.findPattern(data.keywords);
+    const fields = ['response', 'examples', 'confidence', 'usage', 'successRate'];
+
+    if (existing) {
+      for (const field of fields) {
+        if (data[field] !== undefined) existing[field] = data[field];
       }
-    };
+      existing.updatedAt = Date.now();
+    } else {
+      this.knowledgeBase.push({
+        id: uuidv4(),
+        keywords: data.keywords,
+        response: data.response,
+        examples: data.examples || [],
+        confidence: data.confidence !== undefined ? data.confidence : 0.7,
+        usage: data.usage || 0,
+        successRate: data.successRate !== undefined ? data.successRate : 0.5,
+        createdAt: Date.now(),
+        source: source
+      });
+    }
 
-    res.json(healthCheck);
-  } catch (error) {
-    res.status(500).json({ 
-      ok: false, 
-      error: 'Health check failed',
-      timestamp: Date.now()
+    const saved = await this.save({
+      author,
+      source,
+      action: action || (existing ? 'updated' : 'created'),
+      note: data.keywords.join(', ')
     });
+    return { created: !existing, saved };
   }
-});
 
-// Chat endpoints
-app.post('/api/chat/send', [
-  body('clientId').isLength({ min: 5, max: 50 }),
-  body('message').isLength({ min: 1, max: 1000 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ error: errors.array()[0].msg });
-    }
+  // Knowledge-base editing for the admin API, every change is saved and re-indexed at once
 
-    const { clientId, message } = req.body;
-    const sanitizedMessage = message.trim().replace(/\s+/g, ' ');
+  getEntry(id) {
+    return this.knowledgeBase.find(pattern => pattern.id === id);
+  }
 
-    // Add user message to log
-    const chatLog = await FileManager.readJSONFile(FILES.chatLog, []);
-    const userMessage = {
-      timestamp: Date.now(),
-      clientId: clientId,
-      role: 'user',
-      content: sanitizedMessage
+  async createEntry(data, source, author) {
+    const entry = {
+      id: uuidv4(),
+      examples: [],
+      confidence: 0.7,
+      usage: 0,
+      successRate: 0.5,
+      ...ChatBotBrain.entryFields(data),
+      createdAt: Date.now(),
+      source: source
     };
-    chatLog.push(userMessage);
-
-    // Process with ChatBot
-    const botAnalysis = chatBot.analyzeMessage(sanitizedMessage);
-    let response, role;
-
-    if (!botAnalysis.shouldEscalate && botAnalysis.match) {
-      response = botAnalysis.match.response;
-      role = 'chatbot';
-    } else if (aiProcessor) {
-      const aiResult = await aiProcessor.processMessage(sanitizedMessage);
-      response = aiResult.response;
-      role = 'ai';
-    } else {
-      response = 'Size yardımcı olmaya çalışıyorum. Sorular & İletişim sayfamızdan bize ulaşabilirsiniz.';
-      role = 'chatbot';
-    }
 
-    // Add bot response
-    const botMessage = {
-      timestamp: Date.now(),
-      clientId: clientId,
-      role: role,
-      content: response,
-      confidence: botAnalysis.confidence || 0.85
-    };
-    chatLog.push(botMessage);
+    this.knowledgeBase.push(entry);
+    const saved = await this.save({ author, source, action: 'created', note: entry.keywords.join(', ') });
+    return { entry, saved };
+  }
 
-    await FileManager.writeJSONFile(FILES.chatLog, chatLog);
+  async updateEntry(id, data, author) {
+    const entry = this.getEntry(id);
+    if (!entry) return null;
 
-    // Update analytics
-    const analytics = await FileManager.readJSONFile(FILES.analytics, {});
-    const today = moment().format('YYYY-MM-DD');
-    if (!analytics[today]) {
-      analytics[today] = { total: 0, chatbot: 0, ai: 0, admin: 0 };
-    }
-    analytics[today].total += 1;
-    analytics[today][role] += 1;
-    await FileManager.writeJSONFile(FILES.analytics, analytics);
+    Object.assign(entry, ChatBotBrain.entryFields(data), { updatedAt: Date.now() });
+    const saved = await this.save({ author, source: 'admin', action: 'updated', note: entry.keywords.join(', ') });
+    return { entry, saved };
+  }
 
-    // Notify admin
-    if (telegramManager) {
-      await telegramManager.notifyNewMessage(sanitizedMessage, response, role);
+  async deleteEntry(id, author) {
+    const index = this.knowledgeBase.findIndex(pattern => pattern.id === id);
+    if (index === -1) return null;
+
+    const [entry] = this.knowledgeBase.splice(index, 1);
+    const saved = await this.save({ author, source: 'admin', action: 'deleted', note: entry.keywords.join(', ') });
+    return { entry, saved };
+  }
+
+  // Entries are matched by id, then by keyword set; `replace` drops everything not in the import
+  async importEntries(entries, { replace = false, source = 'import', author } = {}) {
+    const previous = this.knowledgeBase;
+    const next = replace ? [] : [...previous];
+    let created = 0;
+    let updated = 0;
+
+    for (const data of entries) {
+      const key = ChatBotBrain.patternKey(data.keywords);
+      const existing = previous.find(pattern => (data.id && pattern.id === data.id) ||
+        ChatBotBrain.patternKey(pattern.keywords) === key);
+
+      if (existing) {
+        Object.assign(existing, ChatBotBrain.entryFields(data), { updatedAt: Date.now() });
+        if (!next.includes(existing)) next.push(existing);
+        updated++;
+      } else {
+        next.push({
+          id: uuidv4(),
+          examples: [],
+          confidence: 0.7,
+          usage: 0,
+          successRate: 0.5,
+          ...ChatBotBrain.entryFields(data),
+          createdAt: Date.now(),
+          source: source
+        });
+        created++;
+      }
     }
 
-    res.json({ 
-      reply: response, 
-      role: role,
-      confidence: botAnalysis.confidence || 0.85,
-      timestamp: Date.now()
+    const removed = previous.filter(pattern => !next.includes(pattern)).length;
+    this.knowledgeBase = next;
+    const saved = await this.save({
+      author,
+      source,
+      action: 'imported',
+      note: `${created} new, ${updated} updated, ${removed} removed`
     });
+    return { created, updated, removed, saved };
+  }
 
-  } catch (error) {
-    Logger.error('Chat processing error', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      reply: 'Üzgünüm, bir hata oluştu. Lütfen Sorular & İletişim sayfamızdan bize ulaşın.',
-      role: 'system',
-      timestamp: Date.now()
-    });
+  // Put an older version back; the bot answers from it at once and the rollback becomes a version itself.
+  // Entries that still exist keep what they learned from visitor feedback since.
+  async restoreVersion(version, author) {
+    const record = await this.versions.get(version);
+    if (!record) return null;
+
+    this.knowledgeBase = KnowledgeVersions.restore(record.entries, this.knowledgeBase);
+    const saved = await this.save({ author, source: 'rollback', action: 'rollback', note: `v${version}` });
+    return { saved, restored: record.version };
   }
-});
 
-app.get('/api/chat/history/:clientId', async (req, res) => {
-  try {
-    const { clientId } = req.params;
-    const chatLog = await FileManager.readJSONFile(FILES.chatLog, []);
-    const userHistory = chatLog.filter(msg => msg.clientId === clientId);
+  // `change` describes who changed what for the version history
+  async save(change) {
+    this.reindex();
+    // The full write below includes the pending counters
+    this.cancelStatsSave();
+    const saved = await storage.saveKnowledgeBase(this.knowledgeBase);
+    if (saved) {
+      await this.recordVersion(change);
+    }
+    return saved;
+  }
+
+  // Usage and feedback statistics (usage, successRate, confidence, feedback): kept in memory,
+  // written in batches, never versioned and kept across rollbacks
+
+  recordUsage(id) {
+    const pattern = this.getEntry(id);
+    if (!pattern) return;
+
+    pattern.usage = (pattern.usage || 0) + 1;
+    this.scheduleStatsSave();
+  }
+
+  // A 👍 / 👎 on an answer of this entry, moves successRate and confidence by learningRate
+  applyFeedback(id, rating) {
+    const pattern = this.getEntry(id);
+    if (!pattern) return null;
+
+    const outcome = rating === 'up' ? 1 : 0;
+    const successRate = pattern.successRate !== undefined ? pattern.successRate : 0.5;
+    const confidence = pattern.confidence !== undefined ? pattern.confidence : 0.7;
+
+    pattern.feedback = { up: 0, down: 0, ...pattern.feedback };
+    pattern.feedback[rating] += 1;
+    pattern.successRate = Math.round((successRate + this.learningRate * (outcome - successRate)) * 1000) / 1000;
+
+    // At or above the threshold confidence climbs towards 1, below it sinks towards the success rate
+    const target = pattern.successRate >= this.successThreshold ? 1 : pattern.successRate;
+    pattern.confidence = Math.round((confidence + this.learningRate * (target - confidence)) * 1000) / 1000;
+
+    this.scheduleStatsSave();
+    return { confidence: pattern.confidence, successRate: pattern.successRate, feedback: pattern.feedback };
+  }
+
+  scheduleStatsSave() {
+    if (this.statsTimer) return;
+    this.statsTimer = setTimeout(() => this.flushStats(), STATS_SAVE_DELAY_MS);
+  }
+
+  cancelStatsSave() {
+    clearTimeout(this.statsTimer);
+    this.statsTimer = null;
+  }
+
+  async flushStats() {
+    if (!this.statsTimer) return;
+    this.cancelStatsSave();
+
+    try {
+      await storage.saveKnowledgeBase(this.knowledgeBase);
+    } catch (error) {
+      Logger.error('Knowledge statistics could not be saved', error);
+    }
+  }
+
+  // A failing history must never block an edit
+  async recordVersion(change) {
+    try {
+      const record = await this.versions.record(this.knowledgeBase, change);
+      if (record) {
+        Logger.debug(`Knowledge version ${record.version} recorded`, { action: record.action });
+      }
+      return record;
+    } catch (error) {
+      Logger.error('Knowledge version could not be recorded', error);
+      return null;
+    }
+  }
+
+  // Editable fields of an entry, keywords de-duplicated
+  static entryFields(data) {
+    const fields = {};
+    for (const field of ['keywords', 'examples', 'response', 'confidence', 'usage', 'successRate', 'tolerances', 'intent', 'slots', 'action', 'rich']) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    if (fields.rich !== undefined) fields.rich = RichMessage.normalize(fields.rich) || undefined;
+    // null or an empty list turns an intent back into a plain entry (undefined is not saved)
+    if (fields.intent === null) fields.intent = undefined;
+    if (fields.action === null) fields.action = undefined;
+    if (fields.slots === null || (fields.slots && fields.slots.length === 0)) fields.slots = undefined;
+    if (fields.keywords) {
+      fields.keywords = fields.keywords.filter((keyword, index, keywords) =>
+        keywords.findIndex(other => TurkishText.lowercase(other) === TurkishText.lowercase(keyword)) === index);
+    }
+    return fields;
+  }
+
+  static patternKey(keywords) {
+    return keywords.map(keyword => TurkishText.lowercase(keyword).trim()).sort().join('|');
+  }
+
+  // A pattern's stored confidence scales retrieval between 0.5 and 1
+  static patternWeight(pattern) {
+    const confidence = pattern.confidence !== undefined ? pattern.confidence : 0.7;
+    return 0.5 + 0.5 * confidence;
+  }
+}
+
+// AI Processor
+class AIProcessor {
+  constructor() {
+    this.available = !!llm;
+    this.context = new ConversationContext({
+      storage,
+      summaryPath: FILES.conversationSummaries,
+      maxTurns: parseInt(process.env.AI_CONTEXT_TURNS) || 6,
+      tokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || 1500,
+      summarize: (previousSummary, messages) => this.summarize(previousSummary, messages)
+    });
+  }
+
+  // clientId pulls in the earlier turns of that conversation, onDelta streams the answer.
+  // options.candidates are the chatbot's ranked entries when it already searched for this message
+  async processMessage(message, clientId = null, onDelta = null, options = {}) {
+    if (!this.available) {
+      return {
+        response: 'AI sistemi şu anda kullanılamıyor. Lütfen Sorular & İletişim sayfamızdan bize ulaşın.',
+        confidence: 0.3,
+        tokensUsed: 0
+      };
+    }
+
+    try {
+      const systemPrompt = `Sen HayDay oyununun uzmanı ve HayDay Malzemeleri sitesinin müşteri destek asistanısın.
+
+🎯 Görevin:
+- HayDay oyunu ile ilgili soruları yanıtlamak
+- Müşterileri doğru sayfalara yönlendirmek
+- Türkçe, kibar ve kısa yanıtlar vermek
+
+🚫 HayDay dışı konularda yardım etme, kibarca reddet.
+
+💬 Ziyaretçinin tıklayarak sorabileceği en fazla 3 devam sorusunu yanıtın sonuna ayrı satırlarda [[seçenek: Soru]] biçiminde ekleyebilirsin.${AI_LINK_HOSTS.length > 0 ? ` Bir sayfaya bağlantı vermek için [[buton: Etiket | https://...]] satırı ekle; yalnızca ${AI_LINK_HOSTS.join(', ')} adreslerine bağlantı ver.` : ''}`;
+
+      const sources = await this.findSources(message, options.candidates);
+      const context = clientId
+        ? await this.context.build(clientId, message)
+        : { summary: null, messages: [] };
+
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'system', content: AIProcessor.groundingPrompt(sources) }
+      ];
+      if (context.summary) {
+        messages.push({ role: 'system', content: `Bu ziyaretçiyle önceki konuşmanın özeti:\n${context.summary}` });
+      }
+      messages.push(...context.messages, { role: 'user', content: message });
+
+      const completion = onDelta
+        ? await llm.stream({ messages }, onDelta)
+        : await llm.complete({ messages });
+
+      // Turns that slid out of the window go into the summary, off the reply path
+      if (clientId) {
+        this.context.rollUp(clientId).catch(error => Logger.error('Conversation summary error', error));
+      }
+
+      // [[seçenek]] / [[buton]] lines become quick replies and buttons
+      const { text, rich } = RichMessage.parseMarkup(completion.content, { hosts: AI_LINK_HOSTS });
+      const citations = AIProcessor.citedSources(text, sources);
+
+      return {
+        response: text,
+        confidence: AIProcessor.answerConfidence({ ...completion, content: text }, citations, sources),
+        tokensUsed: completion.tokensUsed,
+        citations,
+        rich
+      };
+    } catch (error) {
+      Logger.error(`LLM Error (${llm.name}, ${error.code || 'unknown'}):`, error);
+      return {
+        response: 'Üzgünüm, şu anda teknik bir sorun yaşıyorum. Lütfen biraz sonra tekrar deneyin.',
+        confidence: 0.3,
+        tokensUsed: 0,
+        error: error.code || 'unknown'
+      };
+    }
+  }
+
+  // Numbered sources for the prompt: the best knowledge-base entries, then the best site-content chunks
+  async findSources(message, candidates = null) {
+    const entries = (candidates || (await chatBot.analyzeMessage(message)).candidates)
+      // An intent's response is a template that only makes sense with its slots filled
+      .filter(candidate => candidate.confidence >= RAG.minStrength && !candidate.slots)
+      .slice(0, RAG.knowledgeTopK)
+      .map(candidate => ({
+        type: 'knowledge',
+        id: candidate.id,
+        title: candidate.keywords.slice(0, 3).join(', '),
+        text: candidate.response
+      }));
+
+    const chunks = siteContent.search(message, RAG.documentTopK)
+      .filter(result => result.strength >= RAG.minStrength)
+      .map(result => ({
+        type: 'document',
+        id: result.chunk.id,
+        document: result.chunk.document,
+        title: result.chunk.heading ? `${result.chunk.title} - ${result.chunk.heading}` : result.chunk.title,
+        text: result.chunk.text
+      }));
+
+    return [...entries, ...chunks].map((source, index) => ({ number: index + 1, ...source }));
+  }
+
+  // Instructions to answer from the sources only and cite them as [n]
+  static groundingPrompt(sources) {
+    if (sources.length === 0) {
+      return `Bu soru için bilgi bankasında ve site sayfalarında kaynak bulunamadı. Fiyat, süre veya kural gibi bilgiler uydurma; bilmediğini söyle ve ziyaretçiyi "Sorular & İletişim" sayfasına yönlendir.`;
+    }
+
+    const listed = sources
+      .map(source => `[${source.number}] ${source.title}\n${source.text}`)
+      .join('\n\n');
+
+    return `Yanıtını yalnızca aşağıdaki kaynaklara dayandır. Kullandığın her bilginin arkasına kaynağın numarasını [1] biçiminde yaz. Kaynaklarda olmayan fiyat, süre veya kural uydurma; cevap kaynaklarda yoksa bilmediğini söyle ve ziyaretçiyi "Sorular & İletişim" sayfasına yönlendir.
+
+📚 Kaynaklar:
+${listed}`;
+  }
+
+  // Sources the answer refers to with [n], in the order of their numbers
+  static citedSources(content, sources) {
+    const cited = new Set([...content.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])));
+
+    return sources
+      .filter(source => cited.has(source.number))
+      .map(({ number, type, id, document, title }) => ({ number, type, id, document, title }));
+  }
+
+  // Provider confidence (token log-probabilities), lowered for hedging, very short answers
+  // and answers that cite none of the sources they were given
+  static answerConfidence(completion, citations = [], sources = []) {
+    const base = Number.isFinite(completion.confidence) ? completion.confidence : DEFAULT_AI_CONFIDENCE;
+    const text = TurkishText.normalize(completion.content);
+
+    let factor = 1;
+    if (HEDGING_PHRASES.some(phrase => text.includes(phrase))) factor *= 0.5;
+    if (text.trim().length < 20) factor *= 0.7;
+    if (sources.length > 0 && citations.length === 0) factor *= 0.8;
+
+    return Math.round(base * factor * 1000) / 1000;
+  }
+
+  async summarize(previousSummary, messages) {
+    const transcript = messages
+      .map(msg => `${msg.role === 'user' ? 'Ziyaretçi' : 'Asistan'}: ${msg.content}`)
+      .join('\n');
+
+    const completion = await llm.complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'Bir HayDay müşteri destek konuşmasını özetliyorsun. Ziyaretçinin ne istediğini, verilen bilgileri ve açık kalan konuları en fazla 5 kısa maddede Türkçe yaz.'
+        },
+        {
+          role: 'user',
+          content: `${previousSummary ? `Önceki özet:\n${previousSummary}\n\n` : ''}Yeni mesajlar:\n${transcript}`
+        }
+      ],
+      maxTokens: 200,
+      temperature: 0.3
+    });
+
+    return completion.content.trim();
+  }
+}
+
+// Telegram Manager
+class TelegramManager {
+  constructor() {
+    this.authCodes = new Map();
+    this.available = !!telegramBot;
+    // Telegram message id of each notification -> visitor clientId, so replies can be routed
+    this.threads = {};
+  }
+
+  async loadThreads() {
+    this.threads = await FileManager.readJSONFile(FILES.telegramThreads, {});
+  }
+
+  async rememberThread(messageId, clientId) {
+    this.threads[messageId] = clientId;
+
+    // Message ids only grow, so the smallest keys are the oldest notifications
+    const ids = Object.keys(this.threads);
+    if (ids.length > MAX_TELEGRAM_THREADS) {
+      ids.slice(0, ids.length - MAX_TELEGRAM_THREADS).forEach(id => delete this.threads[id]);
+    }
+
+    await FileManager.writeJSONFile(FILES.telegramThreads, this.threads);
+  }
+
+  getThreadClient(messageId) {
+    return this.threads[messageId] || null;
+  }
+
+  conversationKeyboard(clientId, takenOver) {
+    return {
+      inline_keyboard: [[
+        takenOver
+          ? { text: '🔓 Bota devret', callback_data: `release_${clientId}` }
+          : { text: '✋ Devral', callback_data: `takeover_${clientId}` }
+      ]]
+    };
+  }
+
+  async sendConversationNotification(clientId, message, takenOver) {
+    try {
+      const sent = await telegramBot.sendMessage(process.env.ADMIN_TELEGRAM_ID, message, {
+        reply_markup: this.conversationKeyboard(clientId, takenOver)
+      });
+      await this.rememberThread(sent.message_id, clientId);
+    } catch (error) {
+      Logger.error('Telegram notification error:', error);
+    }
+  }
+
+  proposalKeyboard(proposalId) {
+    return {
+      inline_keyboard: [[
+        { text: '✅ Onayla', callback_data: `approve_${proposalId}` },
+        { text: '❌ Reddet', callback_data: `reject_${proposalId}` }
+      ]]
+    };
+  }
+
+  async notifyProposal(proposal) {
+    if (!this.available || !process.env.ADMIN_TELEGRAM_ID) return;
+
+    const question = proposal.examples && proposal.examples[0];
+    const response = proposal.response.length > 300 ?
+      proposal.response.substring(0, 300) + '...' : proposal.response;
+    const message = `📝 Yeni öğrenilen kalıp onay bekliyor\n\n🔑 ${proposal.keywords.join(', ')}` +
+      (question ? `\n❓ "${question}"` : '') +
+      `\n💬 ${response}` +
+      (proposal.aiConfidence !== undefined ? `\n📊 AI güveni: %${Math.round(proposal.aiConfidence * 100)}` : '') +
+      `\n\n✏️ Düzenlemek için admin panelindeki Öneriler sekmesini kullanın`;
+
+    try {
+      await telegramBot.sendMessage(process.env.ADMIN_TELEGRAM_ID, message, {
+        reply_markup: this.proposalKeyboard(proposal.id)
+      });
+    } catch (error) {
+      Logger.error('Telegram proposal notification error:', error);
+    }
+  }
+
+  async sendAuthCode(telegramId) {
+    if (!this.available) return false;
+
+    const code = Math.floor(100000 + Math.random() * 900000).toString();
+    this.authCodes.set(telegramId, {
+      code: code,
+      expires: Date.now() + 5 * 60 * 1000
+    });
+
+    const message = `🔐 HayDay Admin Panel\n\n🔑 Giriş kodunuz: ${code}\n⏰ 5 dakika geçerli`;
+    
+    try {
+      await telegramBot.sendMessage(telegramId, message);
+      return true;
+    } catch (error) {
+      Logger.error('Telegram send error:', error);
+      return false;
+    }
+  }
+
+  verifyAuthCode(telegramId, code) {
+    const authData = this.authCodes.get(telegramId);
+    if (!authData) return false;
+    if (Date.now() > authData.expires) {
+      this.authCodes.delete(telegramId);
+      return false;
+    }
+    if (authData.code === code) {
+      this.authCodes.delete(telegramId);
+      return true;
+    }
+    return false;
+  }
+
+  // `response` is the reply as text, rich parts included (RichMessage.toText)
+  async notifyNewMessage(clientId, userMessage, response, role) {
+    if (!this.available || !process.env.ADMIN_TELEGRAM_ID) return;
+
+    const shortMessage = userMessage.length > 50 ? 
+      userMessage.substring(0, 50) + '...' : userMessage;
+    const shortResponse = response.length > 400 ?
+      response.substring(0, 400) + '...' : response;
+    
+    const message = `💬 Yeni mesaj\n\n👤 ${clientId.substring(clientId.length - 6)}: "${shortMessage}"\n🤖 ${role === 'chatbot' ? 'Bot' : role === 'ai' ? 'AI' : 'Admin'} yanıtladı:\n${shortResponse}\n\n↩️ Ziyaretçiye yazmak için bu mesajı yanıtlayın`;
+    
+    await this.sendConversationNotification(clientId, message, false);
+  }
+
+  async notifyTakeoverMessage(clientId, userMessage) {
+    if (!this.available || !process.env.ADMIN_TELEGRAM_ID) return;
+
+    const shortMessage = userMessage.length > 200 ?
+      userMessage.substring(0, 200) + '...' : userMessage;
+
+    const message = `✋ Devralınan sohbet\n\n👤 ${clientId.substring(clientId.length - 6)}: "${shortMessage}"\n⏳ Yanıtınızı bekliyor\n\n↩️ Yanıtlamak için bu mesajı yanıtlayın`;
+
+    await this.sendConversationNotification(clientId, message, true);
+  }
+}
+
+// Human agent takeover: while a conversation is taken over the bot and AI stay silent
+class TakeoverManager {
+  constructor() {
+    this.takeovers = {};
+  }
+
+  async load() {
+    this.takeovers = await FileManager.readJSONFile(FILES.takeovers, {});
+  }
+
+  isActive(clientId) {
+    return !!this.takeovers[clientId];
+  }
+
+  get(clientId) {
+    return this.takeovers[clientId] || null;
+  }
+
+  list() {
+    return Object.values(this.takeovers);
+  }
+
+  async takeover(clientId, adminId) {
+    const existing = this.takeovers[clientId];
+    if (existing) return { takeover: existing, started: false };
+
+    const takeover = { clientId, adminId, since: Date.now() };
+    this.takeovers[clientId] = takeover;
+    await this.save();
+    Logger.info(`Conversation taken over: ${clientId}`, { adminId });
+    return { takeover, started: true };
+  }
+
+  async release(clientId) {
+    if (!this.takeovers[clientId]) return false;
+
+    delete this.takeovers[clientId];
+    await this.save();
+    Logger.info(`Conversation released: ${clientId}`);
+    return true;
+  }
+
+  async save() {
+    return FileManager.writeJSONFile(FILES.takeovers, this.takeovers);
+  }
+}
+
+// ✅ / ❌ under a proposal notification
+async function handleProposalCallback(query, action, proposalId) {
+  const adminId = query.from.id.toString();
+  let proposal;
+
+  try {
+    proposal = action === 'approve'
+      ? await approveProposal(proposalId, {}, adminId)
+      : await rejectProposal(proposalId, adminId);
+  } catch (error) {
+    Logger.error('Proposal review error', error);
+    await telegramBot.answerCallbackQuery(query.id, { text: '⚠️ İşlem başarısız' });
+    return;
+  }
+
+  if (!proposal) {
+    await telegramBot.answerCallbackQuery(query.id, { text: 'Bu öneri zaten incelenmiş' });
+    return;
+  }
+
+  const outcome = action === 'approve' ? '✅ Onaylandı, bilgi bankasına eklendi' : '❌ Reddedildi';
+  await telegramBot.answerCallbackQuery(query.id, { text: outcome });
+
+  if (query.message) {
+    try {
+      await telegramBot.editMessageText(`${query.message.text}\n\n${outcome}`, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id
+      });
+    } catch (error) {
+      Logger.warn('Telegram proposal message update failed', { error });
+    }
+  }
+}
+
+// Take over a conversation and let the visitor know a human joined
+async function startTakeover(clientId, adminId) {
+  const { takeover, started } = await takeoverManager.takeover(clientId, adminId);
+
+  if (started) {
+    await storeMessages([
+      createMessage(clientId, 'system', 'Bir destek uzmanı sohbete katıldı.')
+    ]);
+    chatEvents.publish(clientId, 'takeover', { active: true });
+    chatEvents.publishAdmin('claimed', { clientId, adminId, active: true, since: takeover.since });
+  }
+
+  return takeover;
+}
+
+async function releaseTakeover(clientId) {
+  const takeover = takeoverManager.get(clientId);
+  const released = await takeoverManager.release(clientId);
+
+  if (released) {
+    await storeMessages([
+      createMessage(clientId, 'system', 'Destek uzmanı sohbetten ayrıldı. HayDay Bot size yardımcı olmaya devam edecek.')
+    ]);
+    chatEvents.publish(clientId, 'takeover', { active: false });
+    chatEvents.publishAdmin('claimed', { clientId, adminId: takeover.adminId, active: false });
+  }
+
+  return released;
+}
+
+// Store a message written by a human agent into the visitor's conversation
+async function sendAdminReply(clientId, content, adminId) {
+  await startTakeover(clientId, adminId);
+
+  // The admin's Telegram ID is their login, so it stays in the takeover record and the log
+  const adminMessage = createMessage(clientId, 'admin', content);
+
+  await storeMessages([adminMessage]);
+  await recordAnalytics('admin');
+  Logger.info(`Admin reply sent: ${clientId}`, { adminId, messageId: adminMessage.id });
+
+  return adminMessage;
+}
+
+// Last message time per client, to tell the admin feed when a conversation starts
+const conversationActivity = new Map();
+
+async function lastConversationActivity(clientId) {
+  if (!conversationActivity.has(clientId)) {
+    const [last] = await storage.getMessages({ clientId, limit: 1 });
+    conversationActivity.set(clientId, last ? last.timestamp : 0);
+  }
+  return conversationActivity.get(clientId);
+}
+
+// Persist messages and push them to open chat streams and the admin feed
+async function storeMessages(messages) {
+  const startedAt = Date.now();
+  const started = [];
+  for (const clientId of new Set(messages.map(message => message.clientId))) {
+    if (startedAt - await lastConversationActivity(clientId) > ACTIVE_CONVERSATION_MS) {
+      started.push(clientId);
+    }
+  }
+
+  await storage.appendMessages(messages);
+
+  messages.forEach(message => conversationActivity.set(message.clientId, message.timestamp));
+  if (conversationActivity.size > 10000) {
+    for (const [clientId, timestamp] of conversationActivity) {
+      if (startedAt - timestamp > ACTIVE_CONVERSATION_MS) conversationActivity.delete(clientId);
+    }
+  }
+
+  started.forEach(clientId => chatEvents.publishAdmin('conversation', { clientId, startedAt }));
+  messages.forEach(message => {
+    chatEvents.publish(message.clientId, 'message', message);
+    chatEvents.publishAdmin('message', message);
+  });
+}
+
+async function recordAnalytics(role) {
+  const day = moment().format('YYYY-MM-DD');
+  await storage.incrementAnalytics(day, role);
+  chatEvents.publishAdmin('stats', { day, role });
+}
+
+// Messages stored before admin replies stopped carrying the admin's ID may still have it
+function toVisitorMessage(message) {
+  if (!('adminId' in message)) return message;
+  const { adminId, ...visible } = message;
+  return visible;
+}
+
+function createMessage(clientId, role, content) {
+  return {
+    id: uuidv4(),
+    timestamp: Date.now(),
+    clientId: clientId,
+    role: role,
+    content: content
+  };
+}
+
+// Initialize systems
+const chatBot = new ChatBotBrain();
+const aiProcessor = llm ? new AIProcessor() : null;
+telegramManager = telegramBot ? new TelegramManager() : null;
+const takeoverManager = new TakeoverManager();
+const patternQueue = new PatternReviewQueue({
+  path: FILES.patternProposals,
+  maxProposals: MAX_PATTERN_PROPOSALS
+});
+const orderLookup = new OrderLookup({
+  adapter: createOrderAdapter(process.env.ORDER_ADAPTER),
+  maxFailures: parseInt(process.env.ORDER_LOOKUP_MAX_FAILURES) || undefined,
+  lockoutMs: parseInt(process.env.ORDER_LOOKUP_LOCKOUT_MS) || undefined,
+  backoffMs: process.env.ORDER_LOOKUP_BACKOFF_MS !== undefined ? parseInt(process.env.ORDER_LOOKUP_BACKOFF_MS) || 0 : undefined
+});
+const siteContent = new SiteContentIndex({
+  dir: FILES.siteContent,
+  chunkSize: parseInt(process.env.SITE_CONTENT_CHUNK_SIZE) || undefined
+});
+const productCatalog = new ProductCatalog({ path: FILES.productCatalog });
+const storageCalculator = new StorageCalculator({ path: FILES.storageUpgrades });
+
+// Intent actions: answers computed from the filled slots instead of the entry's template
+
+function describeOrder(order) {
+  const lines = [
+    `📦 #${order.id} numaralı siparişiniz`,
+    `Durum: ${OrderLookup.statusLabel(order.status)}`
+  ];
+  if (order.items.length > 0) {
+    lines.push(`Ürünler: ${order.items.map(item => `${item.quantity} ${item.name}`).join(', ')}`);
+  }
+  if (order.eta) lines.push(`Tahmini teslim: ${order.eta}`);
+  if (order.note) lines.push(`Not: ${order.note}`);
+  return lines.join('\n');
+}
+
+// Only shown for the order number together with the order's e-mail address;
+// without an order adapter the entry's general delivery answer is used
+chatBot.registerAction('order_status', async ({ orderId, email }, { clientId }) => {
+  const result = await orderLookup.lookup(orderId, email, clientId);
+
+  switch (result.status) {
+    case 'found':
+      return describeOrder(result.order);
+    case 'not_found':
+      return `#${orderId} numarası ve bu e-posta adresiyle eşleşen bir sipariş bulamadım. Bilgileri kontrol edip tekrar sorabilir veya 'Sorular & İletişim' sayfamızdan bize ulaşabilirsiniz.`;
+    case 'locked':
+      return "Çok sayıda hatalı deneme yapıldı. Güvenliğiniz için sipariş sorgulama bir süreliğine kapatıldı; lütfen daha sonra tekrar deneyin veya 'Sorular & İletişim' sayfamızdan bize ulaşın.";
+    default:
+      return null;
+  }
+});
+
+function formatPrice(amount) {
+  return `${amount.toLocaleString('tr-TR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} TL`;
+}
+
+function describeQuotes(quotes) {
+  const lines = ['🧮 Fiyat hesabı'];
+
+  for (const { product, quantity, total, stock, inStock } of quotes) {
+    lines.push(`• ${quantity.toLocaleString('tr-TR')} ${product.unit} ${product.name} × ${formatPrice(product.price)} = ${formatPrice(total)}`);
+    if (inStock === false) {
+      lines.push(stock === 0
+        ? '  ❌ Şu anda stokta yok'
+        : `  ⚠️ Stokta yalnızca ${stock.toLocaleString('tr-TR')} ${product.unit} var`);
+    } else if (inStock) {
+      lines.push('  ✅ Stokta var');
+    }
+    if (product.url) lines.push(`  🔗 ${product.url}`);
+  }
+
+  if (quotes.length > 1) {
+    lines.push(`Toplam: ${formatPrice(quotes.reduce((sum, quote) => sum + quote.total, 0))}`);
+  }
+  lines.push(process.env.PRODUCT_PAGE_URL
+    ? `🛒 Siparişiniz için: ${process.env.PRODUCT_PAGE_URL}`
+    : "🛒 Siparişiniz için ürünleri 'Ürün Listenizi Oluşturun' sayfamızdan listenize ekleyebilirsiniz.");
+  return lines.join('\n');
+}
+
+// One product card per line, linking the product's own page when it has one
+function quoteCards(quotes) {
+  return quotes.map(({ product, quantity, total }) => ({
+    title: product.name,
+    subtitle: `${quantity.toLocaleString('tr-TR')} ${product.unit} × ${formatPrice(product.price)}`,
+    price: formatPrice(total),
+    url: product.url
+  }));
+}
+
+// "20 cıvata ve 10 kereste" is priced line by line; otherwise the filled product and amount slots.
+// A product missing from the catalog falls back to the entry's template.
+chatBot.registerAction('price_quote', async ({ product, amount }, { message }) => {
+  const items = productCatalog.parseItems(message).filter(item => item.quantity !== null);
+  const lines = items.length > 1 ? items : [{ product: productCatalog.find(product), quantity: amount }];
+  if (lines.some(line => !line.product)) return null;
+
+  const quotes = lines.map(line => ProductCatalog.quote(line.product, line.quantity));
+  return { response: describeQuotes(quotes), rich: { cards: quoteCards(quotes) } };
+});
+
+// Materials the catalog sells are priced, the total only when every one of them is
+function priceMaterials(calculation) {
+  const materials = calculation.materials.map(material => {
+    const product = productCatalog.find(material.name);
+    return product ? { ...material, price: product.price, total: ProductCatalog.quote(product, material.amount).total } : material;
+  });
+  const priced = materials.length > 0 && materials.every(material => material.total !== undefined);
+
+  return {
+    ...calculation,
+    materials,
+    total: priced ? Math.round(materials.reduce((sum, material) => sum + material.total, 0) * 100) / 100 : null
+  };
+}
+
+const STORAGE_ESTIMATE_NOTE = '⚠️ Bu rakamlar tahminidir; kesin malzeme sayıları için oyundaki yükseltme ekranını kontrol edin.';
+
+function describeStorageUpgrade(calculation) {
+  const { building, from, to } = calculation;
+  const lines = [
+    `🏚️ ${building}: ${from.level}. seviye → ${to.level}. seviye`,
+    `Kapasite: ${from.capacity.toLocaleString('tr-TR')} → ${to.capacity.toLocaleString('tr-TR')} (+${(to.capacity - from.capacity).toLocaleString('tr-TR')})`,
+    `${calculation.upgrades} yükseltme için gereken malzemeler:`
+  ];
+  for (const material of calculation.materials) {
+    const price = material.total !== undefined ? ` (${formatPrice(material.total)})` : '';
+    lines.push(`• ${material.amount.toLocaleString('tr-TR')} ${material.name}${price}`);
+  }
+  if (calculation.total !== null) lines.push(`Toplam: ${formatPrice(calculation.total)}`);
+  if (calculation.estimated) lines.push(STORAGE_ESTIMATE_NOTE);
+  return lines.join('\n');
+}
+
+chatBot.registerAction('storage_upgrade', async ({ building, currentLevel, targetLevel }) => {
+  const result = storageCalculator.calculate(building, currentLevel, targetLevel);
+
+  switch (result.status) {
+    case 'ok': {
+      const calculation = priceMaterials(result.calculation);
+      return { response: describeStorageUpgrade(calculation), calculation };
+    }
+    case 'invalid_range':
+      return `Hedef seviye şu anki seviyeden yüksek olmalı. ${result.building} için yeniden hesaplamamı isterseniz iki seviyeyi birlikte yazabilirsiniz (ör. "${result.building.toLowerCase()} 10'dan 15'e").`;
+    case 'unknown_level':
+      return `${result.building} tablomuz 1. ile ${result.maxLevel}. seviye arasını kapsıyor. Daha yüksek seviyeler için 'Depolama Hesaplayıcısı' sayfamızı kullanabilirsiniz.`;
+    default:
+      return null;
+  }
+});
+
+// Pattern review: learned and proposed patterns only reach the bot once an admin approves them
+
+// null when the review queue has no room for it
+async function submitProposal(data) {
+  const { proposal, created, rejected } = await patternQueue.submit(data);
+  if (rejected) {
+    Logger.warn(`Pattern proposal rejected: review queue is ${rejected}`, { source: data.source });
+    return null;
+  }
+
+  chatEvents.publishAdmin('proposal', { action: created ? 'submitted' : 'repeated', id: proposal.id });
+  if (created && telegramManager) {
+    await telegramManager.notifyProposal(proposal);
+  }
+  return proposal;
+}
+
+// A confident AI answer becomes a proposal with the visitor's question as its example
+async function learnFromAIAnswer(question, aiResult, source = 'ai_learning') {
+  if (!AI_LEARNING.enabled || aiResult.error || aiResult.confidence < AI_LEARNING.minConfidence) {
+    return null;
+  }
+
+  const keywords = TurkishText.extractKeywords(question);
+  if (keywords.length < 2) return null;
+
+  try {
+    return await submitProposal({
+      keywords,
+      // Source numbers only mean something next to that one prompt
+      response: aiResult.response.replace(/\s*\[\d+\]/g, ''),
+      examples: [question],
+      confidence: 0.7,
+      usage: 1,
+      successRate: 0.8,
+      aiConfidence: aiResult.confidence,
+      source
+    });
+  } catch (error) {
+    Logger.error('Pattern learning error', error);
+    return null;
+  }
+}
+
+// Admin edits win over the proposal; an entry with the same keywords keeps its examples
+async function approveProposal(id, edits, reviewer) {
+  const proposal = await patternQueue.get(id);
+  if (!proposal || (proposal.status || 'pending') !== 'pending') return null;
+
+  const data = ChatBotBrain.entryFields({ ...proposal, ...edits });
+  const existing = chatBot.findPattern(data.keywords);
+  const examples = [...((existing && existing.examples) || []), ...(data.examples || [])]
+    .filter((example, index, all) =>
+      all.findIndex(other => TurkishText.lowercase(other) === TurkishText.lowercase(example)) === index);
+
+  const result = await chatBot.upsertPattern({ ...data, examples }, proposal.source, reviewer, 'approved');
+  if (!result.saved) {
+    throw new Error('Could not save knowledge base');
+  }
+
+  const entry = chatBot.findPattern(data.keywords);
+  const approved = await patternQueue.resolve(id, 'approved', reviewer, {
+    ...data,
+    entryId: entry ? entry.id : null
+  });
+
+  if (approved) {
+    Logger.info(`Pattern proposal approved: ${data.keywords.join(', ')}`, { reviewer });
+    chatEvents.publishAdmin('proposal', { action: 'approved', id, adminId: String(reviewer) });
+    publishKnowledgeChange(String(reviewer), result.created ? 'created' : 'updated', entry ? [entry.id] : []);
+  }
+  return approved;
+}
+
+async function rejectProposal(id, reviewer, reason = null) {
+  const rejected = await patternQueue.resolve(id, 'rejected', reviewer, { rejectReason: reason });
+
+  if (rejected) {
+    Logger.info(`Pattern proposal rejected: ${rejected.keywords.join(', ')}`, { reviewer });
+    chatEvents.publishAdmin('proposal', { action: 'rejected', id, adminId: String(reviewer) });
+  }
+  return rejected;
+}
+
+// API Routes
+
+// Health check
+app.get('/ping', async (req, res) => {
+  try {
+    const healthCheck = {
+      ok: true,
+      timestamp: Date.now(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      environment: process.env.NODE_ENV || 'development',
+      services: {
+        openai: !!llm && llm.name === 'openai',
+        ai: llm ? llm.name : null,
+        telegram: !!telegramBot
+      }
+    };
+
+    res.json(healthCheck);
+  } catch (error) {
+    res.status(500).json({ 
+      ok: false, 
+      error: 'Health check failed',
+      timestamp: Date.now()
+    });
+  }
+});
+
+// Answer a visitor message: knowledge base pattern first, then AI, then the fallback text.
+// stream.onStart / stream.onDelta receive AI answers while they are generated.
+async function handleChatMessage(clientId, message, stream = {}) {
+  const sanitizedMessage = message.trim().replace(/\s+/g, ' ');
+
+  const userMessage = createMessage(clientId, 'user', sanitizedMessage);
+
+  // A human agent owns this conversation, the answer arrives through the stream
+  if (takeoverManager.isActive(clientId)) {
+    await storeMessages([userMessage]);
+
+    if (telegramManager) {
+      await telegramManager.notifyTakeoverMessage(clientId, sanitizedMessage);
+    }
+
+    return {
+      reply: null,
+      role: 'admin',
+      takeover: true,
+      messageId: userMessage.id,
+      timestamp: Date.now()
+    };
+  }
+
+  chatEvents.publish(clientId, 'typing', { role: 'chatbot', typing: true });
+
+  // The reply id is known up front so streamed text and the stored message line up
+  const replyId = uuidv4();
+
+  // Process with ChatBot
+  const botAnalysis = await chatBot.analyzeTurn(clientId, sanitizedMessage);
+  const { intent } = botAnalysis;
+  let response, role;
+  let confidence = botAnalysis.confidence;
+  let citations = [];
+  let rich = null;
+
+  if (!botAnalysis.shouldEscalate && botAnalysis.match) {
+    response = intent ? intent.response : botAnalysis.match.response;
+    // An intent's own parts come with its answer, not with its slot prompts
+    if (!intent) {
+      rich = botAnalysis.match.rich || null;
+    } else if (intent.complete) {
+      rich = intent.rich || botAnalysis.match.rich || null;
+    }
+    role = 'chatbot';
+    // Slot prompts are not answers, the entry is used once it answers
+    if (!intent || intent.complete) chatBot.recordUsage(botAnalysis.match.id);
+  } else if (aiProcessor) {
+    chatEvents.publish(clientId, 'typing', { role: 'ai', typing: true });
+    if (stream.onStart) {
+      stream.onStart({ messageId: replyId, role: 'ai' });
+    }
+    const aiResult = await aiProcessor.processMessage(sanitizedMessage, clientId, stream.onDelta, {
+      candidates: botAnalysis.candidates
+    });
+    response = aiResult.response;
+    role = 'ai';
+    confidence = aiResult.confidence;
+    citations = aiResult.citations || [];
+    rich = aiResult.rich || null;
+
+    // Queued for admin review off the reply path
+    learnFromAIAnswer(sanitizedMessage, aiResult);
+  } else {
+    response = 'Size yardımcı olmaya çalışıyorum. Sorular & İletişim sayfamızdan bize ulaşabilirsiniz.';
+    role = 'chatbot';
+  }
+
+  if (botAnalysis.shouldEscalate || !botAnalysis.match) {
+    chatEvents.publishAdmin('escalation', {
+      clientId,
+      message: sanitizedMessage,
+      confidence: botAnalysis.confidence,
+      handledBy: role === 'ai' ? 'ai' : 'fallback',
+      timestamp: Date.now()
+    });
+  }
+
+  // Add bot response, stored once with the final text
+  const botMessage = createMessage(clientId, role, response);
+  botMessage.id = replyId;
+  botMessage.confidence = confidence;
+  // Feedback on this answer is credited to the entry that produced it
+  if (role === 'chatbot' && botAnalysis.match && !botAnalysis.shouldEscalate && (!intent || intent.complete)) {
+    botMessage.patternId = botAnalysis.match.id;
+  }
+  if (role === 'chatbot' && intent) {
+    botMessage.intent = { name: intent.name, slots: intent.slots, missing: intent.missing, complete: intent.complete };
+    if (intent.calculation) botMessage.calculation = intent.calculation;
+  }
+  if (citations.length > 0) {
+    botMessage.citations = citations;
+  }
+  if (rich) {
+    botMessage.rich = rich;
+  }
+  // E-mail addresses given to an intent are masked in the log and notifications like its slot values
+  if (intent) {
+    userMessage.content = SlotExtractor.redactText(sanitizedMessage, botAnalysis.match.slots);
+  }
+
+  await storeMessages([userMessage, botMessage]);
+
+  // Update analytics
+  await recordAnalytics(role);
+
+  // Notify admin
+  if (telegramManager) {
+    await telegramManager.notifyNewMessage(clientId, userMessage.content, RichMessage.toText(response, rich), role);
+  }
+
+  return {
+    reply: response,
+    role: role,
+    confidence: confidence,
+    citations,
+    intent: botMessage.intent || null,
+    calculation: botMessage.calculation || null,
+    rich,
+    messageId: botMessage.id,
+    timestamp: Date.now()
+  };
+}
+
+function chatErrorReply() {
+  return {
+    error: 'Internal server error',
+    reply: 'Üzgünüm, bir hata oluştu. Lütfen Sorular & İletişim sayfamızdan bize ulaşın.',
+    role: 'system',
+    timestamp: Date.now()
+  };
+}
+
+// Chat endpoints
+app.post('/api/chat/send', [
+  body('clientId').isLength({ min: 5, max: 50 }),
+  body('message').isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    res.json(await handleChatMessage(req.body.clientId, req.body.message));
+  } catch (error) {
+    Logger.error('Chat processing error', error);
+    if (req.body && req.body.clientId) {
+      chatEvents.publish(req.body.clientId, 'typing', { role: 'chatbot', typing: false });
+    }
+    res.status(500).json(chatErrorReply());
+  }
+});
+
+// Same as /api/chat/send, answered as Server-Sent Events:
+// start { messageId, role } and delta { text } while the AI writes, then done (the /send response)
+app.post('/api/chat/send/stream', [
+  body('clientId').isLength({ min: 5, max: 50 }),
+  body('message').isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The answer is still stored if the visitor goes away mid-stream
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (type, data) => {
+    if (!closed) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await handleChatMessage(req.body.clientId, req.body.message, {
+      onStart: data => send('start', data),
+      onDelta: text => send('delta', { text })
+    });
+    send('done', result);
+  } catch (error) {
+    Logger.error('Chat processing error', error);
+    chatEvents.publish(req.body.clientId, 'typing', { role: 'chatbot', typing: false });
+    send('error', chatErrorReply());
+  }
+
+  res.end();
+});
+
+app.get('/api/chat/history/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const userHistory = await storage.getMessages({ clientId });
+
+    // Ratings the visitor already gave, so the buttons show them
+    const ratings = new Map((await storage.getFeedback({ clientId })).map(item => [item.messageId, item.rating]));
+    const history = userHistory
+      .map(toVisitorMessage)
+      .map(msg => (ratings.has(msg.id) ? { ...msg, feedback: ratings.get(msg.id) } : msg));
+
+    res.json({ history });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not fetch history' });
+  }
+});
+
+app.get('/api/chat/poll/:clientId', async (req, res) => {
+  const { clientId } = req.params;
+  const { after } = req.query;
+  
+  try {
+    const afterTimestamp = parseInt(after) || 0;
+    const newMessages = await storage.getMessages({ clientId, after: afterTimestamp });
+    
+    res.json({ 
+      newMessages: newMessages.map(toVisitorMessage),
+      lastTimestamp: newMessages.length > 0 ? 
+        Math.max(...newMessages.map(m => m.timestamp)) : afterTimestamp
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not fetch new messages' });
+  }
+});
+
+// 👍 / 👎 on a bot or AI answer, once per message
+app.post('/api/chat/feedback', [
+  body('clientId').isLength({ min: 5, max: 50 }),
+  body('messageId').isString().isLength({ min: 1, max: 100 }),
+  body('rating').isIn(['up', 'down'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const { clientId, messageId, rating } = req.body;
+    const message = (await storage.getMessages({ clientId })).find(msg => msg.id === messageId);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.role !== 'chatbot' && message.role !== 'ai') {
+      return res.status(400).json({ error: 'Only bot and AI answers can be rated' });
+    }
+
+    const feedback = {
+      messageId,
+      clientId,
+      rating,
+      role: message.role,
+      patternId: message.patternId || null,
+      timestamp: Date.now()
+    };
+
+    if (!await storage.saveFeedback(feedback)) {
+      return res.status(409).json({ error: 'Feedback already recorded' });
+    }
+
+    const pattern = feedback.patternId ? chatBot.applyFeedback(feedback.patternId, rating) : null;
+
+    chatEvents.publishAdmin('feedback', { ...feedback, pattern });
+    res.json({ success: true, rating });
+  } catch (error) {
+    Logger.error('Feedback error', error);
+    res.status(500).json({ error: 'Could not record feedback' });
+  }
+});
+
+// Server-Sent Events: messages, typing state and takeover changes as they happen.
+// Every message event carries the message id, so a reconnect with Last-Event-ID
+// (or ?lastEventId= on a fresh page load) replays what was missed.
+app.get('/api/chat/stream/:clientId', [
+  param('clientId').isLength({ min: 5, max: 50 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { clientId } = req.params;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sentIds = new Set();
+  const send = (type, data) => {
+    if (type === 'message') {
+      if (sentIds.has(data.id)) return;
+      sentIds.add(data.id);
+      res.write(`id: ${data.id}\n`);
+      data = toVisitorMessage(data);
+    }
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before replaying so nothing published meanwhile is lost
+  const buffered = [];
+  let replaying = true;
+  const unsubscribe = chatEvents.subscribe(clientId, event => {
+    if (replaying) {
+      buffered.push(event);
+    } else {
+      send(event.type, event.data);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  res.write('retry: 3000\n\n');
+
+  try {
+    if (lastEventId) {
+      const history = await storage.getMessages({ clientId });
+      const index = history.findIndex(message => message.id === lastEventId);
+      if (index !== -1) {
+        history.slice(index + 1).forEach(message => send('message', message));
+      }
+    }
+  } catch (error) {
+    Logger.error('Chat stream replay failed', error);
+  }
+
+  replaying = false;
+  buffered.forEach(event => send(event.type, event.data));
+  send('takeover', { active: takeoverManager.isActive(clientId) });
+});
+
+// Resolve the admin session for a request, null when missing or expired
+async function getAdminSession(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const session = await storage.getAdminSession(token);
+
+  if (!session || Date.now() > session.expires) {
+    return null;
+  }
+
+  return session;
+}
+
+// Admin authentication middleware
+async function authenticateAdmin(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  try {
+    const session = await getAdminSession(req);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+}
+
+// Admin endpoints
+app.post('/api/admin/request-code', [
+  body('telegramId').isNumeric()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { telegramId } = req.body;
+  
+  if (telegramId !== process.env.ADMIN_TELEGRAM_ID) {
+    return res.status(403).json({ error: 'Unauthorized Telegram ID' });
+  }
+
+  if (!telegramManager) {
+    return res.status(503).json({ error: 'Telegram service unavailable' });
+  }
+
+  const sent = await telegramManager.sendAuthCode(telegramId);
+  res.json({ success: sent, message: sent ? 'Code sent' : 'Failed to send code' });
+});
+
+app.post('/api/admin/verify-code', [
+  body('telegramId').isNumeric(),
+  body('code').isLength({ min: 6, max: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { telegramId, code } = req.body;
+  
+  if (telegramId !== process.env.ADMIN_TELEGRAM_ID) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  if (!telegramManager) {
+    return res.status(503).json({ error: 'Telegram service unavailable' });
+  }
+
+  const isValid = telegramManager.verifyAuthCode(telegramId, code);
+  
+  if (isValid) {
+    const sessionToken = uuidv4();
+    await storage.saveAdminSession(sessionToken, {
+      telegramId: telegramId,
+      created: Date.now(),
+      expires: Date.now() + (24 * 60 * 60 * 1000),
+      lastActivity: Date.now()
+    });
+    
+    res.json({ success: true, token: sessionToken });
+  } else {
+    res.status(400).json({ error: 'Invalid or expired code' });
+  }
+});
+
+app.get('/api/admin/dashboard', authenticateAdmin, async (req, res) => {
+  try {
+    const today = moment().format('YYYY-MM-DD');
+    const todayStats = await storage.getAnalytics(today);
     
-    res.json({ history: userHistory });
+    const activeThreshold = Date.now() - ACTIVE_CONVERSATION_MS;
+    const recentMessages = await storage.getMessages({ after: activeThreshold });
+    const activeConversations = recentMessages
+      .reduce((acc, msg) => {
+        if (!acc[msg.clientId]) {
+          acc[msg.clientId] = { messages: [], lastActivity: msg.timestamp };
+        }
+        acc[msg.clientId].messages.push(msg);
+        acc[msg.clientId].lastActivity = Math.max(acc[msg.clientId].lastActivity, msg.timestamp);
+        return acc;
+      }, {});
+
+    res.json({
+      stats: {
+        day: today,
+        today: todayStats,
+        activeConversations: Object.keys(activeConversations).length,
+        totalConversations: await storage.countMessages()
+      },
+      activeChats: Object.entries(activeConversations).map(([clientId, data]) => ({
+        clientId,
+        lastMessage: data.messages[data.messages.length - 1],
+        messageCount: data.messages.length,
+        lastActivity: data.lastActivity,
+        takeover: takeoverManager.get(clientId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not fetch dashboard data' });
+  }
+});
+
+// Conversation endpoints (human agent takeover)
+app.get('/api/admin/conversations/:clientId', authenticateAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const history = await storage.getMessages({ clientId, limit: 100 });
+
+    res.json({
+      clientId,
+      history,
+      takeover: takeoverManager.get(clientId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Could not fetch conversation' });
+  }
+});
+
+app.post('/api/admin/conversations/:clientId/takeover', authenticateAdmin, async (req, res) => {
+  try {
+    const takeover = await startTakeover(req.params.clientId, req.adminSession.telegramId);
+
+    res.json({ success: true, takeover });
+  } catch (error) {
+    Logger.error('Takeover error', error);
+    res.status(500).json({ error: 'Could not take over conversation' });
+  }
+});
+
+app.delete('/api/admin/conversations/:clientId/takeover', authenticateAdmin, async (req, res) => {
+  try {
+    const released = await releaseTakeover(req.params.clientId);
+
+    res.json({ success: true, released });
+  } catch (error) {
+    Logger.error('Takeover release error', error);
+    res.status(500).json({ error: 'Could not release conversation' });
+  }
+});
+
+app.post('/api/admin/conversations/:clientId/reply', authenticateAdmin, [
+  body('message').isString().trim().isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const message = await sendAdminReply(
+      req.params.clientId,
+      req.body.message,
+      req.adminSession.telegramId
+    );
+
+    res.json({ success: true, message });
+  } catch (error) {
+    Logger.error('Admin reply error', error);
+    res.status(500).json({ error: 'Could not send reply' });
+  }
+});
+
+// Admins typing a reply: shown to other admins and to the visitor
+app.post('/api/admin/conversations/:clientId/typing', authenticateAdmin, [
+  body('typing').isBoolean()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { clientId } = req.params;
+  const typing = req.body.typing === true || req.body.typing === 'true';
+
+  chatEvents.publish(clientId, 'typing', { role: 'admin', typing });
+  chatEvents.publishAdmin('typing', { clientId, adminId: req.adminSession.telegramId, typing });
+
+  res.json({ success: true });
+});
+
+// Admin live feed (SSE): messages, new conversations, escalations, stat deltas,
+// typing and claimed conversations, plus which admins are watching
+const adminViewers = new Map();
+
+function publishAdminPresence() {
+  chatEvents.publishAdmin('presence', { viewers: Array.from(adminViewers.keys()) });
+}
+
+app.get('/api/admin/stream', authenticateAdmin, (req, res) => {
+  const adminId = req.adminSession.telegramId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write('retry: 3000\n\n');
+  send('ready', { adminId, takeovers: takeoverManager.list() });
+
+  const unsubscribe = chatEvents.subscribeAdmin(event => send(event.type, event.data));
+  adminViewers.set(adminId, (adminViewers.get(adminId) || 0) + 1);
+  publishAdminPresence();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+
+    const remaining = adminViewers.get(adminId) - 1;
+    if (remaining > 0) {
+      adminViewers.set(adminId, remaining);
+    } else {
+      adminViewers.delete(adminId);
+    }
+    publishAdminPresence();
+  });
+});
+
+// Knowledge base editor. Changes take effect immediately, no restart needed.
+
+// Schema of an editable entry, `prefix` addresses entries nested in an import
+function knowledgeEntryRules(prefix = '', partial = false) {
+  const field = name => body(prefix + name);
+  const required = name => (partial ? field(name).optional() : field(name));
+
+  return [
+    required('keywords').isArray({ min: 1, max: 20 }),
+    field('keywords.*').isString().trim().isLength({ min: 1, max: 50 }),
+    required('response').isString().trim().isLength({ min: 1, max: 2000 }),
+    field('examples').optional().isArray({ max: 20 }),
+    field('examples.*').isString().trim().isLength({ min: 1, max: 300 }),
+    field('confidence').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    field('successRate').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    field('usage').optional().isInt({ min: 0 }).toInt(),
+    field('tolerances').optional().isObject(),
+    field('tolerances.*').isInt({ min: 0, max: 2 }).toInt(),
+    // Intents: `{slot}` placeholders in the response are filled from typed slots asked for in turn
+    field('intent').optional({ nullable: true }).isString().trim().matches(/^[a-z0-9_]{1,50}$/)
+      .withMessage('Intent must be lowercase letters, digits and _'),
+    field('slots').optional({ nullable: true }).isArray({ max: 5 })
+      .custom(slots => new Set(slots.map(slot => slot && slot.name)).size === slots.length)
+      .withMessage('Slot names must be unique'),
+    field('slots.*.name').isString().matches(/^[A-Za-z][A-Za-z0-9_]{0,29}$/),
+    field('slots.*.type').isIn(SlotExtractor.TYPES),
+    field('slots.*.prompt').isString().trim().isLength({ min: 1, max: 300 }),
+    field('slots.*.values').optional().isArray({ max: 200 }),
+    field('slots.*.values.*').isString().trim().isLength({ min: 1, max: 50 }),
+    field('slots.*.min').optional().isFloat().toFloat(),
+    field('slots.*.max').optional().isFloat().toFloat(),
+    field('slots.*.marker').optional().isIn(SlotExtractor.MARKERS),
+    field('slots.*.required').optional().isBoolean().toBoolean(),
+    field('action').optional({ nullable: true }).isString().custom(action => chatBot.hasAction(action))
+      .withMessage('Unknown intent action'),
+    // Quick replies, buttons, product cards and images sent with the response (lib/rich-message.js)
+    field('rich').optional({ nullable: true }).custom(rich => {
+      const error = RichMessage.validate(rich);
+      if (error) throw new Error(error);
+      return true;
+    })
+  ];
+}
+
+function knowledgeValidationError(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  const [first] = errors.array();
+  res.status(400).json({ error: first.msg, field: first.path });
+  return true;
+}
+
+// Another entry with the same keyword set, the bot could never tell them apart
+function findKeywordConflict(keywords, exceptId = null) {
+  const entry = chatBot.findPattern(ChatBotBrain.entryFields({ keywords }).keywords);
+  return entry && entry.id !== exceptId ? entry : null;
+}
+
+function publishKnowledgeChange(adminId, action, ids) {
+  chatEvents.publishAdmin('knowledge', {
+    action,
+    ids,
+    adminId,
+    total: chatBot.knowledgeBase.length
+  });
+}
+
+app.get('/api/admin/knowledge', authenticateAdmin, (req, res) => {
+  res.json({
+    entries: chatBot.knowledgeBase,
+    total: chatBot.knowledgeBase.length
+  });
+});
+
+// Version history, newest first (snapshots left out)
+app.get('/api/admin/knowledge/versions', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({ versions: await chatBot.versions.list() });
+  } catch (error) {
+    Logger.error('Knowledge versions error', error);
+    res.status(500).json({ error: 'Could not fetch versions' });
+  }
+});
+
+app.get('/api/admin/knowledge/versions/:version', authenticateAdmin, [
+  param('version').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const version = await chatBot.versions.get(req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    Logger.error('Knowledge version error', error);
+    res.status(500).json({ error: 'Could not fetch version' });
+  }
+});
+
+// Changes from one version to another; without `to` against the live knowledge base
+app.get('/api/admin/knowledge/diff', authenticateAdmin, [
+  query('from').isInt({ min: 1 }).toInt(),
+  query('to').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const from = await chatBot.versions.get(req.query.from);
+    const to = req.query.to ? await chatBot.versions.get(req.query.to) : null;
+    if (!from || (req.query.to && !to)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      from: from.version,
+      to: to ? to.version : 'current',
+      ...KnowledgeVersions.diff(from.entries, to ? to.entries : chatBot.knowledgeBase)
+    });
+  } catch (error) {
+    Logger.error('Knowledge diff error', error);
+    res.status(500).json({ error: 'Could not compare versions' });
+  }
+});
+
+app.post('/api/admin/knowledge/versions/:version/rollback', authenticateAdmin, [
+  param('version').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const result = await chatBot.restoreVersion(req.params.version, req.adminSession.telegramId);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (!result.saved) {
+      return res.status(500).json({ error: 'Could not save knowledge base' });
+    }
+
+    Logger.info(`Knowledge base rolled back to version ${result.restored}`, { adminId: req.adminSession.telegramId });
+    publishKnowledgeChange(req.adminSession.telegramId, 'rollback', []);
+    res.json({ success: true, restored: result.restored, total: chatBot.knowledgeBase.length });
+  } catch (error) {
+    Logger.error('Knowledge rollback error', error);
+    res.status(500).json({ error: 'Could not roll back' });
+  }
+});
+
+app.get('/api/admin/knowledge/:id', authenticateAdmin, (req, res) => {
+  const entry = chatBot.getEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  res.json({ entry });
+});
+
+app.post('/api/admin/knowledge', authenticateAdmin, knowledgeEntryRules(), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  const conflict = findKeywordConflict(req.body.keywords);
+  if (conflict) {
+    return res.status(409).json({ error: 'An entry with these keywords already exists', id: conflict.id });
+  }
+
+  try {
+    const { entry, saved } = await chatBot.createEntry(req.body, 'admin', req.adminSession.telegramId);
+    if (!saved) {
+      return res.status(500).json({ error: 'Could not save entry' });
+    }
+
+    Logger.info('Knowledge entry created', { id: entry.id });
+    publishKnowledgeChange(req.adminSession.telegramId, 'created', [entry.id]);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    Logger.error('Knowledge create error', error);
+    res.status(500).json({ error: 'Could not save entry' });
+  }
+});
+
+app.put('/api/admin/knowledge/:id', authenticateAdmin, knowledgeEntryRules('', true), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  if (!chatBot.getEntry(req.params.id)) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  const conflict = req.body.keywords && findKeywordConflict(req.body.keywords, req.params.id);
+  if (conflict) {
+    return res.status(409).json({ error: 'An entry with these keywords already exists', id: conflict.id });
+  }
+
+  try {
+    const { entry, saved } = await chatBot.updateEntry(req.params.id, req.body, req.adminSession.telegramId);
+    if (!saved) {
+      return res.status(500).json({ error: 'Could not save entry' });
+    }
+
+    Logger.info('Knowledge entry updated', { id: entry.id });
+    publishKnowledgeChange(req.adminSession.telegramId, 'updated', [entry.id]);
+    res.json({ success: true, entry });
+  } catch (error) {
+    Logger.error('Knowledge update error', error);
+    res.status(500).json({ error: 'Could not save entry' });
+  }
+});
+
+app.delete('/api/admin/knowledge/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await chatBot.deleteEntry(req.params.id, req.adminSession.telegramId);
+    if (!result) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    if (!result.saved) {
+      return res.status(500).json({ error: 'Could not save knowledge base' });
+    }
+
+    Logger.info('Knowledge entry deleted', { id: req.params.id });
+    publishKnowledgeChange(req.adminSession.telegramId, 'deleted', [req.params.id]);
+    res.json({ success: true });
+  } catch (error) {
+    Logger.error('Knowledge delete error', error);
+    res.status(500).json({ error: 'Could not delete entry' });
+  }
+});
+
+// Bulk import: `merge` (default) adds and updates, `replace` also removes entries missing from the import
+app.post('/api/admin/knowledge/import', authenticateAdmin, [
+  body('entries').isArray({ min: 1, max: 1000 }),
+  body('mode').optional().isIn(['merge', 'replace']),
+  ...knowledgeEntryRules('entries.*.')
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  const keys = req.body.entries.map(entry => ChatBotBrain.patternKey(ChatBotBrain.entryFields(entry).keywords));
+  const duplicate = keys.findIndex((key, index) => keys.indexOf(key) !== index);
+  if (duplicate !== -1) {
+    return res.status(400).json({ error: 'Duplicate keyword set in import', field: `entries[${duplicate}].keywords` });
+  }
+
+  try {
+    const result = await chatBot.importEntries(req.body.entries, {
+      replace: req.body.mode === 'replace',
+      source: 'import',
+      author: req.adminSession.telegramId
+    });
+    if (!result.saved) {
+      return res.status(500).json({ error: 'Could not save knowledge base' });
+    }
+
+    Logger.info('Knowledge base imported', { created: result.created, updated: result.updated, removed: result.removed });
+    publishKnowledgeChange(req.adminSession.telegramId, 'imported', []);
+    res.json({
+      success: true,
+      created: result.created,
+      updated: result.updated,
+      removed: result.removed,
+      total: chatBot.knowledgeBase.length
+    });
+  } catch (error) {
+    Logger.error('Knowledge import error', error);
+    res.status(500).json({ error: 'Could not import entries' });
+  }
+});
+
+// Pick up a hand-edited knowledge-base.json without a restart
+app.post('/api/admin/knowledge/reload', authenticateAdmin, async (req, res) => {
+  try {
+    await chatBot.loadKnowledgeBase(req.adminSession.telegramId);
+
+    Logger.info('Knowledge base reloaded', { total: chatBot.knowledgeBase.length });
+    publishKnowledgeChange(req.adminSession.telegramId, 'reloaded', []);
+    res.json({ success: true, total: chatBot.knowledgeBase.length });
+  } catch (error) {
+    Logger.error('Knowledge reload error', error);
+    res.status(500).json({ error: 'Could not reload knowledge base' });
+  }
+});
+
+// Pattern proposals waiting for review, approved ones become knowledge-base entries
+app.get('/api/admin/proposals', authenticateAdmin, [
+  query('status').optional().isIn(PatternReviewQueue.STATUSES)
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const all = await patternQueue.list();
+    const counts = {};
+    PatternReviewQueue.STATUSES.forEach(status => {
+      counts[status] = all.filter(proposal => (proposal.status || 'pending') === status).length;
+    });
+
+    const proposals = all
+      .filter(proposal => !req.query.status || (proposal.status || 'pending') === req.query.status)
+      .map(proposal => {
+        // Approving merges into this entry instead of adding one
+        const entry = chatBot.findPattern(ChatBotBrain.entryFields({ keywords: proposal.keywords }).keywords);
+        return { ...proposal, existingEntryId: entry ? entry.id : null };
+      });
+
+    res.json({ proposals, counts });
   } catch (error) {
-    res.status(500).json({ error: 'Could not fetch history' });
+    Logger.error('Proposal list error', error);
+    res.status(500).json({ error: 'Could not load proposals' });
   }
 });
 
-app.get('/api/chat/poll/:clientId', async (req, res) => {
-  const { clientId } = req.params;
-  const { after } = req.query;
-  
+app.put('/api/admin/proposals/:id', authenticateAdmin, knowledgeEntryRules('', true), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
   try {
-    const chatLog = await FileManager.readJSONFile(FILES.chatLog, []);
-    const afterTimestamp = parseInt(after) || 0;
-    
-    const newMessages = chatLog.filter(msg => 
-      msg.clientId === clientId && 
-      msg.timestamp > afterTimestamp
-    );
-    
-    res.json({ 
-      newMessages: newMessages,
-      lastTimestamp: newMessages.length > 0 ? 
-        Math.max(...newMessages.map(m => m.timestamp)) : afterTimestamp
-    });
+    const proposal = await patternQueue.update(req.params.id, ChatBotBrain.entryFields(req.body));
+    if (!proposal) {
+      return res.status(404).json({ error: 'Pending proposal not found' });
+    }
+
+    chatEvents.publishAdmin('proposal', { action: 'edited', id: proposal.id, adminId: req.adminSession.telegramId });
+    res.json({ success: true, proposal });
   } catch (error) {
-    res.status(500).json({ error: 'Could not fetch new messages' });
+    Logger.error('Proposal update error', error);
+    res.status(500).json({ error: 'Could not save proposal' });
   }
 });
 
-// Admin authentication middleware
-async function authenticateAdmin(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+// Optional edits in the body are applied before the entry is created
+app.post('/api/admin/proposals/:id/approve', authenticateAdmin, knowledgeEntryRules('', true), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const proposal = await approveProposal(req.params.id, ChatBotBrain.entryFields(req.body), req.adminSession.telegramId);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Pending proposal not found' });
+    }
+
+    res.json({ success: true, proposal, entry: chatBot.getEntry(proposal.entryId) || null });
+  } catch (error) {
+    Logger.error('Proposal approve error', error);
+    res.status(500).json({ error: 'Could not approve proposal' });
   }
+});
+
+app.post('/api/admin/proposals/:id/reject', authenticateAdmin, [
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
 
-  const token = authHeader.substring(7);
   try {
-    const sessions = await FileManager.readJSONFile(FILES.adminSessions, {});
-    const session = sessions[token];
-    
-    if (!session || Date.now() > session.expires) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const proposal = await rejectProposal(req.params.id, req.adminSession.telegramId, req.body.reason || null);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Pending proposal not found' });
     }
-    
-    req.adminSession = session;
-    next();
+
+    res.json({ success: true, proposal });
   } catch (error) {
-    res.status(401).json({ error: 'Authentication failed' });
+    Logger.error('Proposal reject error', error);
+    res.status(500).json({ error: 'Could not reject proposal' });
   }
+});
+
+// Site content the AI answers are grounded in (Markdown, text or HTML files in SITE_CONTENT_DIR)
+const documentNameRule = () => param('name')
+  .custom(name => SiteContentIndex.validName(name))
+  .withMessage('Document name must be a file name ending in .md, .txt or .html');
+
+function publishDocumentChange(adminId, action, name) {
+  chatEvents.publishAdmin('documents', {
+    action,
+    name,
+    adminId,
+    total: siteContent.list().length
+  });
 }
 
-// Admin endpoints
-app.post('/api/admin/request-code', [
-  body('telegramId').isNumeric()
+app.get('/api/admin/documents', authenticateAdmin, (req, res) => {
+  res.json({
+    documents: siteContent.list(),
+    chunks: siteContent.chunks.length
+  });
+});
+
+// The chunks an AI answer to this question would be given
+app.get('/api/admin/documents/search', authenticateAdmin, [
+  query('q').isString().trim().isLength({ min: 1, max: 500 })
+], (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  const results = siteContent.search(req.query.q, RAG.documentTopK).map(result => ({
+    ...result.chunk,
+    score: result.score,
+    strength: result.strength,
+    used: result.strength >= RAG.minStrength
+  }));
+  res.json({ results, minStrength: RAG.minStrength });
+});
+
+// Pick up documents copied into the folder by hand
+app.post('/api/admin/documents/reindex', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await siteContent.reindex();
+
+    publishDocumentChange(req.adminSession.telegramId, 'reindexed', null);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    Logger.error('Site content reindex error', error);
+    res.status(500).json({ error: 'Could not index site content' });
+  }
+});
+
+app.get('/api/admin/documents/:name', authenticateAdmin, [documentNameRule()], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const document = await siteContent.read(req.params.name);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      document,
+      chunks: siteContent.chunks.filter(chunk => chunk.document === req.params.name)
+    });
+  } catch (error) {
+    Logger.error('Site content read error', error);
+    res.status(500).json({ error: 'Could not read document' });
+  }
+});
+
+app.put('/api/admin/documents/:name', authenticateAdmin, [
+  documentNameRule(),
+  body('content').isString().isLength({ min: 1, max: 200000 })
 ], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ error: errors.array()[0].msg });
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    const { document, created } = await siteContent.write(req.params.name, req.body.content);
+
+    Logger.info(`Site content ${created ? 'created' : 'updated'}`, { name: req.params.name, chunks: document.chunks });
+    publishDocumentChange(req.adminSession.telegramId, created ? 'created' : 'updated', req.params.name);
+    res.status(created ? 201 : 200).json({ success: true, document });
+  } catch (error) {
+    Logger.error('Site content write error', error);
+    res.status(500).json({ error: 'Could not save document' });
   }
+});
 
-  const { telegramId } = req.body;
-  
-  if (telegramId !== process.env.ADMIN_TELEGRAM_ID) {
-    return res.status(403).json({ error: 'Unauthorized Telegram ID' });
+app.delete('/api/admin/documents/:name', authenticateAdmin, [documentNameRule()], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  try {
+    if (!(await siteContent.remove(req.params.name))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    Logger.info('Site content deleted', { name: req.params.name });
+    publishDocumentChange(req.adminSession.telegramId, 'deleted', req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    Logger.error('Site content delete error', error);
+    res.status(500).json({ error: 'Could not delete document' });
   }
+});
 
-  if (!telegramManager) {
-    return res.status(503).json({ error: 'Telegram service unavailable' });
+// Order lookup for support agents, no e-mail check
+app.get('/api/admin/orders/:orderId', authenticateAdmin, [
+  param('orderId').isString().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  if (!orderLookup.available) {
+    return res.status(503).json({ error: 'Order lookup is not configured' });
   }
 
-  const sent = await telegramManager.sendAuthCode(telegramId);
-  res.json({ success: sent, message: sent ? 'Code sent' : 'Failed to send code' });
+  try {
+    const order = await orderLookup.find(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ order: { ...order, statusLabel: OrderLookup.statusLabel(order.status) } });
+  } catch (error) {
+    Logger.error('Order lookup error', error);
+    res.status(502).json({ error: 'Could not reach the order system' });
+  }
 });
 
-app.post('/api/admin/verify-code', [
-  body('telegramId').isNumeric(),
-  body('code').isLength({ min: 6, max: 6 })
+// Product catalog the price_quote intent answers from
+function productRules(partial = false) {
+  const required = name => (partial ? body(name).optional() : body(name));
+
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('aliases').optional().isArray({ max: 20 }),
+    body('aliases.*').isString().trim().isLength({ min: 1, max: 100 }),
+    body('unit').optional().isString().trim().isLength({ min: 1, max: 20 }),
+    required('price').isFloat({ min: 0 }).toFloat(),
+    body('stock').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+    body('url').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true })
+  ];
+}
+
+// Names and aliases feed the intent keywords and the product slots
+function publishProductChange(adminId, action, id) {
+  chatBot.setProducts(productCatalog.names());
+  chatEvents.publishAdmin('products', {
+    action,
+    id,
+    adminId,
+    total: productCatalog.list().length
+  });
+}
+
+app.get('/api/admin/products', authenticateAdmin, (req, res) => {
+  res.json({ products: productCatalog.list() });
+});
+
+app.post('/api/admin/products', authenticateAdmin, productRules(), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  const conflict = productCatalog.findConflict(req.body);
+  if (conflict) {
+    return res.status(409).json({ error: 'A product with this name or alias already exists', id: conflict.id });
+  }
+
+  try {
+    const product = await productCatalog.create(req.body);
+
+    Logger.info('Product created', { id: product.id });
+    publishProductChange(req.adminSession.telegramId, 'created', product.id);
+    res.status(201).json({ success: true, product });
+  } catch (error) {
+    Logger.error('Product create error', error);
+    res.status(500).json({ error: 'Could not save product' });
+  }
+});
+
+app.put('/api/admin/products/:id', authenticateAdmin, productRules(true), async (req, res) => {
+  if (knowledgeValidationError(req, res)) return;
+
+  const conflict = productCatalog.findConflict(req.body, req.params.id);
+  if (conflict) {
+    return res.status(409).json({ error: 'A product with this name or alias already exists', id: conflict.id });
+  }
+
+  try {
+    const product = await productCatalog.update(req.params.id, req.body);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    Logger.info('Product updated', { id: product.id });
+    publishProductChange(req.adminSession.telegramId, 'updated', product.id);
+    res.json({ success: true, product });
+  } catch (error) {
+    Logger.error('Product update error', error);
+    res.status(500).json({ error: 'Could not save product' });
+  }
+});
+
+app.delete('/api/admin/products/:id', authenticateAdmin, async (req, res) => {
+  try {
+    if (!(await productCatalog.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    Logger.info('Product deleted', { id: req.params.id });
+    publishProductChange(req.adminSession.telegramId, 'deleted', req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    Logger.error('Product delete error', error);
+    res.status(500).json({ error: 'Could not delete product' });
+  }
+});
+
+// AI endpoints (used by assets/js/ai-brain.js)
+app.get('/api/ai/health', (req, res) => {
+  const available = !!aiProcessor && aiProcessor.available;
+
+  res.status(available ? 200 : 503).json({
+    ok: available,
+    provider: llm ? llm.name : null,
+    model: llm ? llm.model : null,
+    patterns: chatBot.knowledgeBase.length,
+    timestamp: Date.now()
+  });
+});
+
+app.get('/api/ai/patterns', (req, res) => {
+  res.json({
+    patterns: chatBot.getPatterns(),
+    timestamp: Date.now()
+  });
+});
+
+// Admins update the knowledge base directly, everyone else can only propose
+app.post('/api/ai/patterns/update', [
+  body('keywords').isArray({ min: 1, max: 20 }),
+  body('keywords.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('response').isString().trim().isLength({ min: 1, max: 2000 }),
+  body('examples').optional().isArray({ max: 20 }),
+  body('examples.*').isString().trim().isLength({ min: 1, max: 300 }),
+  body('confidence').optional().isFloat({ min: 0, max: 1 }),
+  body('successRate').optional().isFloat({ min: 0, max: 1 }),
+  body('usage').optional().isInt({ min: 0 })
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ error: errors.array()[0].msg });
   }
 
-  const { telegramId, code } = req.body;
-  
-  if (telegramId !== process.env.ADMIN_TELEGRAM_ID) {
-    return res.status(403).json({ error: 'Unauthorized' });
+  try {
+    const { keywords, response, examples, confidence, successRate, usage } = req.body;
+    const session = await getAdminSession(req);
+
+    if (session) {
+      const result = await chatBot.upsertPattern(
+        { keywords, response, examples, confidence, successRate, usage },
+        'admin',
+        session.telegramId
+      );
+
+      if (!result.saved) {
+        return res.status(500).json({ error: 'Could not save pattern' });
+      }
+
+      Logger.info(`Pattern ${result.created ? 'created' : 'updated'} by admin`, { keywords });
+      return res.json({ success: true, created: result.created });
+    }
+
+    const proposal = await submitProposal({
+      keywords,
+      response,
+      examples,
+      confidence,
+      successRate,
+      usage,
+      // Only the server's own learning queues 'ai_learning' proposals, whatever the request says
+      source: 'client'
+    });
+
+    if (!proposal) {
+      return res.status(429).json({ error: 'Too many proposals waiting for review' });
+    }
+
+    res.status(202).json({ success: true, proposalId: proposal.id, status: 'pending' });
+  } catch (error) {
+    Logger.error('Pattern update error', error);
+    res.status(500).json({ error: 'Could not process pattern' });
   }
+});
 
-  if (!telegramManager) {
-    return res.status(503).json({ error: 'Telegram service unavailable' });
+app.post('/api/ai/process', [
+  body('message').isString().isLength({ min: 1, max: 1000 }),
+  body('context').optional().isObject()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
   }
 
-  const isValid = telegramManager.verifyAuthCode(telegramId, code);
-  
-  if (isValid) {
-    const sessionToken = uuidv4();
-    const sessions = await FileManager.readJSONFile(FILES.adminSessions, {});
-    sessions[sessionToken] = {
-      telegramId: telegramId,
-      created: Date.now(),
-      expires: Date.now() + (24 * 60 * 60 * 1000),
-      lastActivity: Date.now()
-    };
-    await FileManager.writeJSONFile(FILES.adminSessions, sessions);
-    
-    res.json({ success: true, token: sessionToken });
-  } else {
-    res.status(400).json({ error: 'Invalid or expired code' });
+  if (!aiProcessor) {
+    return res.status(503).json({ error: 'AI service unavailable' });
   }
-});
 
-app.get('/api/admin/dashboard', authenticateAdmin, async (req, res) => {
   try {
-    const chatLog = await FileManager.readJSONFile(FILES.chatLog, []);
-    const analytics = await FileManager.readJSONFile(FILES.analytics, {});
-    
-    const today = moment().format('YYYY-MM-DD');
-    const todayStats = analytics[today] || { total: 0, chatbot: 0, ai: 0, admin: 0 };
-    
-    const activeThreshold = Date.now() - (30 * 60 * 1000);
-    const activeConversations = chatLog
-      .filter(msg => msg.timestamp > activeThreshold)
-      .reduce((acc, msg) => {
-        if (!acc[msg.clientId]) {
-          acc[msg.clientId] = { messages: [], lastActivity: msg.timestamp };
-        }
-        acc[msg.clientId].messages.push(msg);
-        acc[msg.clientId].lastActivity = Math.max(acc[msg.clientId].lastActivity, msg.timestamp);
-        return acc;
-      }, {});
+    const sanitizedMessage = req.body.message.trim().replace(/\s+/g, ' ');
+    const clientId = req.body.context && typeof req.body.context.clientId === 'string'
+      ? req.body.context.clientId
+      : null;
+    const aiResult = await aiProcessor.processMessage(sanitizedMessage, clientId);
+    // Anyone can call this endpoint, so its answers are client proposals and count against the client cap
+    const proposal = await learnFromAIAnswer(sanitizedMessage, aiResult, 'client');
 
     res.json({
-      stats: {
-        today: todayStats,
-        activeConversations: Object.keys(activeConversations).length,
-        totalConversations: chatLog.length
-      },
-      activeChats: Object.entries(activeConversations).map(([clientId, data]) => ({
-        clientId,
-        lastMessage: data.messages[data.messages.length - 1],
-        messageCount: data.messages.length,
-        lastActivity: data.lastActivity
-      }))
+      response: aiResult.response,
+      confidence: aiResult.confidence,
+      tokensUsed: aiResult.tokensUsed,
+      citations: aiResult.citations || [],
+      rich: aiResult.rich || null,
+      proposalId: proposal ? proposal.id : null,
+      timestamp: Date.now()
     });
   } catch (error) {
-    res.status(500).json({ error: 'Could not fetch dashboard data' });
+    Logger.error('AI processing error', error);
+    res.status(500).json({ error: 'AI processing failed' });
   }
 });
 
+// Telegram updates (webhook in production, polling in development)
+async function handleTelegramUpdate(update) {
+  if (update.callback_query) {
+    return handleTelegramCallback(update.callback_query);
+  }
+
+  if (!update.message) return;
+
+  const message = update.message;
+  const chatId = message.chat.id;
+  const userId = message.from.id.toString();
+  const text = message.text;
+
+  if (userId !== process.env.ADMIN_TELEGRAM_ID || !text) return;
+
+  if (text.startsWith('/')) {
+    const [command] = text.split(' ');
+    
+    let response = '';
+    switch (command) {
+      case '/start':
+      case '/help':
+        response = '🤖 HayDay Chat Bot aktif!\n\nKomutlar:\n/stats - İstatistikler\n/ping - Sistem durumu\n/help - Yardım\n\n↩️ Bir mesaj bildirimini yanıtlayarak ziyaretçiye doğrudan cevap verebilirsiniz.';
+        break;
+      case '/stats':
+        const todayStats = await storage.getAnalytics(moment().format('YYYY-MM-DD'));
+        response = `📊 Bugün: ${todayStats.total} mesaj\n🤖 Bot: ${todayStats.chatbot}\n🧠 AI: ${todayStats.ai}\n👨‍💼 Admin: ${todayStats.admin}`;
+        break;
+      case '/ping':
+        response = `✅ Sistem çalışıyor\n⏰ Uptime: ${Math.round(process.uptime())} saniye\n💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`;
+        break;
+      default:
+        response = 'Bilinmeyen komut. /help yazın.';
+    }
+    
+    await telegramBot.sendMessage(chatId, response);
+    return;
+  }
+
+  // Replying to a notification answers that visitor
+  if (message.reply_to_message) {
+    const clientId = telegramManager.getThreadClient(message.reply_to_message.message_id);
+
+    if (!clientId) {
+      await telegramBot.sendMessage(chatId, '❓ Bu mesaj bir ziyaretçi sohbetine bağlı değil.');
+      return;
+    }
+
+    await sendAdminReply(clientId, text.substring(0, 1000), userId);
+    const sent = await telegramBot.sendMessage(chatId, `✅ Yanıt iletildi (👤 ${clientId.substring(clientId.length - 6)})`, {
+      reply_to_message_id: message.message_id,
+      reply_markup: telegramManager.conversationKeyboard(clientId, true)
+    });
+    await telegramManager.rememberThread(sent.message_id, clientId);
+  }
+}
+
+// Inline buttons: takeover_<clientId> / release_<clientId>
+async function handleTelegramCallback(query) {
+  if (query.from.id.toString() !== process.env.ADMIN_TELEGRAM_ID) {
+    await telegramBot.answerCallbackQuery(query.id, { text: '⛔ Yetkisiz' });
+    return;
+  }
+
+  const data = query.data || '';
+  const separator = data.indexOf('_');
+  const action = data.substring(0, separator);
+  const clientId = data.substring(separator + 1);
+
+  if (separator > 0 && (action === 'approve' || action === 'reject')) {
+    return handleProposalCallback(query, action, data.substring(separator + 1));
+  }
+
+  let text;
+  let takenOver;
+  if (separator > 0 && action === 'takeover') {
+    await startTakeover(clientId, query.from.id.toString());
+    text = '✋ Sohbet devralındı. Bildirimi yanıtlayarak ziyaretçiye yazabilirsiniz.';
+    takenOver = true;
+  } else if (separator > 0 && action === 'release') {
+    await releaseTakeover(clientId);
+    text = '🔓 Sohbet bota devredildi.';
+    takenOver = false;
+  } else {
+    await telegramBot.answerCallbackQuery(query.id, { text: 'Bilinmeyen işlem' });
+    return;
+  }
+
+  await telegramBot.answerCallbackQuery(query.id, { text });
+
+  if (query.message) {
+    try {
+      await telegramBot.editMessageReplyMarkup(telegramManager.conversationKeyboard(clientId, takenOver), {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id
+      });
+    } catch (error) {
+      Logger.warn('Telegram keyboard update failed', { error });
+    }
+  }
+}
+
 // Telegram webhook
 app.post('/webhook/telegram', async (req, res) => {
   if (!telegramBot) {
     return res.sendStatus(404);
   }
 
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (secret && req.get('X-Telegram-Bot-Api-Secret-Token') !== secret) {
+    return res.sendStatus(401);
+  }
+
   try {
-    const update = req.body;
-    
-    if (update.message) {
-      const message = update.message;
-      const chatId = message.chat.id;
-      const userId = message.from.id.toString();
-      const text = message.text;
-      
-      if (userId === process.env.ADMIN_TELEGRAM_ID && text && text.startsWith('/')) {
-        const [command] = text.split(' ');
-        
-        let response = '';
-        switch (command) {
-          case '/start':
-            response = '🤖 HayDay Chat Bot aktif!\n\nKomutlar:\n/stats - İstatistikler\n/ping - Sistem durumu\n/help - Yardım';
-            break;
-          case '/stats':
-            const analytics = await FileManager.readJSONFile(FILES.analytics, {});
-            const today = moment().format('YYYY-MM-DD');
-            const todayStats = analytics[today] || { total: 0, chatbot: 0, ai: 0, admin: 0 };
-            response = `📊 Bugün: ${todayStats.total} mesaj\n🤖 Bot: ${todayStats.chatbot}\n🧠 AI: ${todayStats.ai}\n👨‍💼 Admin: ${todayStats.admin}`;
-            break;
-          case '/ping':
-            response = `✅ Sistem çalışıyor\n⏰ Uptime: ${Math.round(process.uptime())} saniye\n💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`;
-            break;
-          default:
-            response = 'Bilinmeyen komut. /help yazın.';
-        }
-        
-        await telegramBot.sendMessage(chatId, response);
-      }
-    }
-    
+    await handleTelegramUpdate(req.body);
     res.sendStatus(200);
   } catch (error) {
     Logger.error('Telegram webhook error:', error);
@@ -733,6 +3010,15 @@ app.post('/webhook/telegram', async (req, res) => {
   }
 });
 
+if (telegramBot && process.env.NODE_ENV !== 'production') {
+  telegramBot.on('message', message => {
+    handleTelegramUpdate({ message }).catch(error => Logger.error('Telegram update error:', error));
+  });
+  telegramBot.on('callback_query', query => {
+    handleTelegramUpdate({ callback_query: query }).catch(error => Logger.error('Telegram update error:', error));
+  });
+}
+
 // Error handling
 app.use((error, req, res, next) => {
   Logger.error('Unhandled error:', error);
@@ -740,37 +3026,81 @@ app.use((error, req, res, next) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   Logger.info('SIGTERM received, shutting down gracefully');
+  await chatBot.flushStats();
+  await storage.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   Logger.info('SIGINT received, shutting down gracefully');  
+  await chatBot.flushStats();
+  await storage.close();
   process.exit(0);
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  Logger.info('HayDay Chat System started', {
-    port: PORT,
-    environment: process.env.NODE_ENV || 'development',
-    openai: !!openai,
-    telegram: !!telegramBot,
-    pid: process.pid
-  });
+// Start server once storage is ready
+let server = null;
+
+// Summaries were kept in the project root before they moved under data/
+async function moveConversationSummaries() {
+  const legacyPath = './conversation-summaries.json';
+  await fs.mkdir(path.dirname(FILES.conversationSummaries), { recursive: true });
+  if (path.resolve(legacyPath) === path.resolve(FILES.conversationSummaries)) return;
+
+  try {
+    await fs.access(FILES.conversationSummaries);
+  } catch {
+    try {
+      await fs.rename(legacyPath, FILES.conversationSummaries);
+      Logger.info(`Conversation summaries moved to ${FILES.conversationSummaries}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+async function start() {
+  await storage.init();
+  await moveConversationSummaries();
+  await chatBot.loadKnowledgeBase();
+  await takeoverManager.load();
+  // AI answers fall back to the knowledge base alone when the site content cannot be read
+  await siteContent.reindex().catch(error => Logger.error('Site content indexing error', error));
+  await productCatalog.load();
+  chatBot.setProducts(productCatalog.names());
+  await storageCalculator.load();
+  if (telegramManager) {
+    await telegramManager.loadThreads();
+  }
+
+  server = app.listen(PORT, () => {
+    Logger.info('HayDay Chat System started', {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      ai: llm ? `${llm.name} (${llm.model})` : null,
+      telegram: !!telegramBot,
+      pid: process.pid
+    });
   
-  console.log(`
+    console.log(`
 🚀 HayDay Chat System v1.0.0
 ╭─────────────────────────────────────────╮
 │  🌐 Server: http://localhost:${PORT}      │
 │  🔗 Health: http://localhost:${PORT}/ping │
 │  🛠️ Admin: http://localhost:${PORT}/admin.html │
 │  📊 Environment: ${process.env.NODE_ENV || 'development'} │
-│  ✅ OpenAI: ${openai ? '🟢 Connected' : '🔴 Disabled'} │
+│  ✅ AI: ${llm ? `🟢 ${llm.name} (${llm.model})` : '🔴 Disabled'} │
 │  📱 Telegram: ${telegramBot ? '🟢 Connected' : '🔴 Disabled'} │
 ╰─────────────────────────────────────────╯
-  `);
+    `);
+  });
+}
+
+start().catch(error => {
+  Logger.error('Startup failed', error);
+  process.exit(1);
 });
 
-module.exports = { app, server };
\ No newline at end of file
+module.exports = { app, storage, getServer: () => server };
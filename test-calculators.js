@@ -0,0 +1,159 @@
+/**
+ * 🧮 HayDay Chat System - Calculator Test
+ * Product catalog pricing (lib/product-catalog.js) and barn / silo upgrade
+ * materials (lib/storage-calculator.js)
+ *
+ * Usage: node test-calculators.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ProductCatalog = require('./lib/product-catalog');
+const StorageCalculator = require('./lib/storage-calculator');
+
+const UPGRADES = {
+  barn: {
+    name: 'Ambar',
+    aliases: ['depo'],
+    levels: [
+      { level: 1, capacity: 50, materials: {} },
+      { level: 2, capacity: 75, materials: { 'cıvata': 1, 'bant': 2 } },
+      { level: 3, capacity: 100, materials: { 'cıvata': 3, 'bant': 2, 'tahta kalas': 1 } }
+    ]
+  }
+};
+
+class CalculatorTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧮 CALCULATOR TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-calc-'));
+    try {
+      await this.testCatalog();
+      await this.testPricing();
+      await this.testStorage();
+      await this.testShippedTable();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  async catalog() {
+    const catalog = new ProductCatalog({ path: path.join(this.dir, `catalog-${Date.now()}-${Math.random()}.json`) });
+    await catalog.load();
+    await catalog.create({ name: 'cıvata', aliases: ['civata', 'vida'], price: 2.5, stock: 1200 });
+    await catalog.create({ name: 'kereste', price: 3, stock: 15 });
+    await catalog.create({ name: 'tahta kalas', price: 4 });
+    return catalog;
+  }
+
+  async testCatalog() {
+    console.log('\n🛒 Catalog...');
+    const catalog = await this.catalog();
+
+    this.test('New products get defaults (unit, unknown stock)',
+      catalog.find('tahta kalas').unit === 'adet' && catalog.find('tahta kalas').stock === null);
+    this.test('Products are found by alias, whatever the case', catalog.find('CİVATA') && catalog.find('CİVATA').name === 'cıvata');
+    this.test('names() lists names and aliases', catalog.names().includes('vida') && catalog.names().includes('kereste'));
+
+    this.test('An alias used by another product is a conflict', !!catalog.findConflict({ name: 'yeni', aliases: ['vida'] }));
+    const civata = catalog.find('cıvata');
+    this.test('A product does not conflict with itself', catalog.findConflict({ name: 'cıvata' }, civata.id) === null);
+
+    const updated = await catalog.update(civata.id, { price: 3, stock: 10, createdAt: 0 });
+    this.test('Updates change editable fields only', updated && updated.price === 3 && updated.createdAt !== 0);
+    this.test('Updating an unknown product returns null', (await catalog.update('missing', { price: 1 })) === null);
+
+    const reloaded = new ProductCatalog({ path: catalog.path });
+    await reloaded.load();
+    this.test('Changes are written to the catalog file', reloaded.find('cıvata').price === 3);
+
+    this.test('Products can be removed', (await catalog.remove(civata.id)) && catalog.find('cıvata') === null);
+    this.test('Removing an unknown product returns false', (await catalog.remove(civata.id)) === false);
+  }
+
+  async testPricing() {
+    console.log('\n💰 Pricing...');
+    const catalog = await this.catalog();
+
+    const items = catalog.parseItems('20 cıvata, 10 kereste ve 5 tahta kalas');
+    this.test('Every product in a list is read with its quantity',
+      items.length === 3 && items.map(item => `${item.quantity} ${item.product.name}`).join(', ') === '20 cıvata, 10 kereste, 5 tahta kalas');
+
+    const merged = catalog.parseItems('10 civata ile 5 vida');
+    this.test('Aliases of one product add up', merged.length === 1 && merged[0].quantity === 15);
+    this.test('A product without a quantity has quantity null', catalog.parseItems('kereste kaç lira')[0].quantity === null);
+
+    const quote = ProductCatalog.quote(catalog.find('cıvata'), 3);
+    this.test('Totals are rounded to cents', quote.total === 7.5);
+    this.test('Enough stock is reported as in stock', quote.inStock === true);
+    this.test('More than the stock is reported as out of stock', ProductCatalog.quote(catalog.find('kereste'), 20).inStock === false);
+    this.test('Unknown stock stays unknown', ProductCatalog.quote(catalog.find('tahta kalas'), 1).inStock === null);
+  }
+
+  async testStorage() {
+    console.log('\n🏚️ Storage upgrades...');
+    const tablePath = path.join(this.dir, 'upgrades.json');
+    await fs.writeFile(tablePath, JSON.stringify(UPGRADES));
+    const calculator = new StorageCalculator({ path: tablePath });
+    await calculator.load();
+
+    const result = calculator.calculate('depo', 1, 3);
+    const materials = result.calculation && Object.fromEntries(result.calculation.materials.map(m => [m.name, m.amount]));
+    this.test('Buildings are found by alias', result.status === 'ok' && result.calculation.building === 'Ambar');
+    this.test('Materials of every upgrade in the range add up',
+      materials && materials['cıvata'] === 4 && materials.bant === 4 && materials['tahta kalas'] === 1);
+    this.test('Capacities of both levels are reported',
+      result.calculation.from.capacity === 50 && result.calculation.to.capacity === 100 && result.calculation.upgrades === 2);
+    this.test('A table without the flag is not an estimate', result.calculation.estimated === false);
+
+    this.test('The target must be above the current level', calculator.calculate('ambar', 3, 2).status === 'invalid_range');
+    const beyond = calculator.calculate('ambar', 1, 10);
+    this.test('Levels beyond the table are reported with the highest level', beyond.status === 'unknown_level' && beyond.maxLevel === 3);
+    this.test('Unknown buildings are reported', calculator.calculate('ahır', 1, 2).status === 'unknown_building');
+  }
+
+  async testShippedTable() {
+    console.log('\n📋 Shipped table...');
+    const calculator = new StorageCalculator({ path: path.join(__dirname, 'storage-upgrades.json') });
+    await calculator.load();
+
+    const barn = calculator.calculate('ambar', 10, 15);
+    const silo = calculator.calculate('silo', 1, 2);
+    this.test('The shipped barn and silo tables load', barn.status === 'ok' && silo.status === 'ok');
+    this.test('Answers from the approximated table are marked as estimates',
+      barn.calculation.estimated === true && silo.calculation.estimated === true);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new CalculatorTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = CalculatorTester;
@@ -0,0 +1,168 @@
+/**
+ * 📓 HayDay Chat System - Chat Journal Test
+ * Append-only JSONL chat log: per-client reads before and after compaction, time queries,
+ * crash recovery, reopening and legacy import (lib/chat-journal.js)
+ *
+ * Usage: node test-chat-journal.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ChatJournal } = require('./lib/chat-journal');
+
+function message(clientId, content, timestamp) {
+  return { id: `${clientId}-${timestamp}`, clientId, role: 'user', content, timestamp };
+}
+
+class ChatJournalTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('📓 CHAT JOURNAL TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-journal-'));
+    try {
+      await this.testAppendAndCompact();
+      await this.testRecovery();
+      await this.testReplace();
+      await this.testLegacyImport();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  journal(name, options = {}) {
+    return new ChatJournal({
+      journalPath: path.join(this.dir, `${name}.jsonl`),
+      indexDir: path.join(this.dir, `${name}-index`),
+      compactIntervalMs: 3600000,
+      ...options
+    });
+  }
+
+  contents(messages) {
+    return messages.map(item => item.content).join(',');
+  }
+
+  async testAppendAndCompact() {
+    console.log('\n✍️ Append and compact...');
+    const journal = this.journal('main');
+    await journal.open();
+
+    await journal.append([message('user_a', 'a1', 1000), message('user_b', 'b1', 2000)]);
+    await journal.append([message('user_a', 'a2', 3000)]);
+
+    this.test('Messages are readable per client before compaction',
+      this.contents(await journal.getClientMessages('user_a')) === 'a1,a2');
+    this.test('Other clients are not mixed in', this.contents(await journal.getClientMessages('user_b')) === 'b1');
+
+    await journal.compact();
+    this.test('Compaction moves everything into the index', journal.pending.length === 0 && journal.count() === 3);
+    this.test('Reads are the same after compaction', this.contents(await journal.getClientMessages('user_a')) === 'a1,a2');
+
+    await journal.append([message('user_a', 'a3', 4000)]);
+    this.test('Compacted and pending messages are combined in order',
+      this.contents(await journal.getClientMessages('user_a')) === 'a1,a2,a3');
+
+    this.test('Messages after a time come from index and tail',
+      this.contents(await journal.getMessagesAfter(1500)) === 'b1,a2,a3');
+    this.test('Client ids with odd characters get their own segment',
+      this.contents(await journal.getClientMessages('../user_a')) === '');
+
+    await journal.close();
+
+    const reopened = this.journal('main');
+    await reopened.open();
+    this.test('Reopening replays the messages not compacted yet',
+      reopened.pending.length === 1 && this.contents(await reopened.getClientMessages('user_a')) === 'a1,a2,a3');
+    await reopened.close();
+  }
+
+  async testRecovery() {
+    console.log('\n💥 Crash recovery...');
+    const journal = this.journal('crash');
+    await journal.open();
+    await journal.append([message('user_c', 'c1', 1000), message('user_c', 'c2', 2000)]);
+    await journal.close();
+
+    // A crash in the middle of a write leaves half a line behind
+    await fs.appendFile(journal.journalPath, '{"id":"half","clientId":"user_c","con');
+
+    const recovered = this.journal('crash');
+    await recovered.open();
+    this.test('The incomplete last line is dropped', this.contents(await recovered.getClientMessages('user_c')) === 'c1,c2');
+
+    await recovered.append([message('user_c', 'c3', 3000)]);
+    const lines = (await fs.readFile(journal.journalPath, 'utf8')).split('\n').filter(Boolean);
+    this.test('The next append starts on a clean line', lines.length === 3 && lines.every(line => JSON.parse(line)));
+
+    await recovered.compact();
+    await recovered.close();
+
+    // An index ahead of the journal (journal restored from an older backup) is rebuilt
+    await fs.writeFile(journal.journalPath, JSON.stringify(message('user_c', 'c1', 1000)) + '\n');
+    const restored = this.journal('crash');
+    await restored.open();
+    this.test('An index ahead of the journal is rebuilt', this.contents(await restored.getClientMessages('user_c')) === 'c1');
+    await restored.close();
+  }
+
+  async testReplace() {
+    console.log('\n🔁 Replace...');
+    const journal = this.journal('replace');
+    await journal.open();
+    await journal.append([message('user_d', 'old', 1000)]);
+    await journal.compact();
+
+    await journal.replace([message('user_d', 'new1', 2000), message('user_e', 'new2', 3000)]);
+    this.test('replace() swaps the whole log', this.contents(await journal.getClientMessages('user_d')) === 'new1');
+    this.test('readAll() returns every message', this.contents(await journal.readAll()) === 'new1,new2');
+    await journal.close();
+  }
+
+  async testLegacyImport() {
+    console.log('\n📥 Legacy import...');
+    const legacyPath = path.join(this.dir, 'chat-log.json');
+    await fs.writeFile(legacyPath, JSON.stringify([message('user_f', 'f1', 1000), message('user_f', 'f2', 2000)]));
+
+    const journal = this.journal('legacy', { legacyPath });
+    await journal.open();
+    this.test('A new journal is seeded from chat-log.json', this.contents(await journal.getClientMessages('user_f')) === 'f1,f2');
+    await journal.close();
+
+    const reopened = this.journal('legacy', { legacyPath });
+    await reopened.open();
+    this.test('The legacy log is imported only once', (await reopened.readAll()).length === 2);
+    await reopened.close();
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new ChatJournalTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ChatJournalTester;
@@ -0,0 +1,155 @@
+/**
+ * 🧵 HayDay Chat System - Conversation Context Test
+ * The conversation window, rolling summaries and token budget sent to the AI
+ * (lib/conversation-context.js)
+ *
+ * Usage: node test-conversation-context.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ConversationContext, estimateTokens } = require('./lib/conversation-context');
+const Logger = require('./lib/logger');
+
+// In-memory stand-in for the chat storage, same getMessages() options
+class MemoryStorage {
+  constructor(messages) {
+    this.messages = messages;
+  }
+
+  async getMessages({ clientId, limit, after = 0 } = {}) {
+    const messages = this.messages.filter(message => message.clientId === clientId && message.timestamp > after);
+    return limit ? messages.slice(-limit) : messages;
+  }
+}
+
+// n visitor questions, each followed by the bot's answer
+function conversation(clientId, turns, length = 20) {
+  const messages = [];
+  for (let i = 1; i <= turns; i++) {
+    messages.push({ clientId, role: 'user', content: `soru ${i} `.padEnd(length, '.'), timestamp: i * 10 });
+    messages.push({ clientId, role: 'chatbot', content: `cevap ${i} `.padEnd(length, '.'), timestamp: i * 10 + 1 });
+  }
+  return messages;
+}
+
+class ConversationContextTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧵 CONVERSATION CONTEXT TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-context-'));
+    try {
+      await this.testWindow();
+      await this.testRollUp();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  context(storage, options = {}) {
+    return new ConversationContext({
+      storage,
+      summaryPath: path.join(this.dir, `summaries-${Date.now()}-${Math.random()}.json`),
+      ...options
+    });
+  }
+
+  async testWindow() {
+    console.log('\n🪟 Conversation window...');
+    const storage = new MemoryStorage([
+      ...conversation('user_a', 5),
+      { clientId: 'user_a', role: 'system', content: 'Admin sohbete katıldı', timestamp: 55 },
+      ...conversation('user_b', 1)
+    ]);
+
+    const context = this.context(storage, { maxTurns: 3 });
+    const built = await context.build('user_a', 'yeni soru');
+    this.test('Only the recent window is sent, system notices left out',
+      built.messages.length === 5 && built.messages.every(message => ['user', 'assistant'].includes(message.role)));
+    this.test('Bot answers are sent as assistant messages', built.messages[0].role === 'assistant' && built.messages[0].content.startsWith('cevap 3'));
+    this.test('Other conversations are not mixed in', built.messages.every(message => !message.content.startsWith('soru 1 ')));
+    this.test('Without a stored summary the summary is null', built.summary === null);
+
+    const tight = this.context(storage, { maxTurns: 3, tokenBudget: estimateTokens('yeni soru') + 2 * estimateTokens('x'.repeat(20)) });
+    const trimmed = await tight.build('user_a', 'yeni soru');
+    this.test('The oldest messages are dropped to stay within the token budget',
+      trimmed.messages.length === 2 && trimmed.messages[1].content.startsWith('cevap 5') && trimmed.tokens <= tight.tokenBudget);
+  }
+
+  async testRollUp() {
+    console.log('\n📜 Rolling summaries...');
+    const storage = new MemoryStorage(conversation('user_c', 5));
+    const calls = [];
+    const context = this.context(storage, {
+      maxTurns: 2,
+      summarize: async (previous, messages) => {
+        calls.push({ previous, messages });
+        return `özet: ${messages.length} mesaj`;
+      }
+    });
+
+    const entry = await context.rollUp('user_c');
+    this.test('Messages older than the window are summarized',
+      entry && entry.summary === 'özet: 6 mesaj' && entry.turns === 3 && entry.coveredUntil === 31);
+    this.test('The summarizer gets chat completion messages', calls[0].messages[0].role === 'user' && calls[0].messages[1].role === 'assistant');
+
+    const built = await context.build('user_c', 'yeni soru');
+    this.test('The stored summary is sent with the messages it does not cover',
+      built.summary === 'özet: 6 mesaj' && built.messages.length === 4 && built.messages[0].content.startsWith('soru 4'));
+
+    this.test('Nothing to roll up inside the window', (await context.rollUp('user_c')) === null);
+
+    storage.messages.push(...conversation('user_c', 7).slice(10));
+    await context.rollUp('user_c');
+    this.test('The next roll-up continues from the previous summary', calls[1].previous === 'özet: 6 mesaj');
+
+    const failing = this.context(new MemoryStorage(conversation('user_d', 4)), {
+      maxTurns: 1,
+      summarize: async () => { throw new Error('summarizer timed out'); }
+    });
+    const extract = await failing.rollUp('user_d');
+    this.test('A failing summarizer falls back to the visitor\'s questions',
+      extract && extract.summary.startsWith('Ziyaretçinin önceki mesajları:') && extract.summary.includes('- soru 3') &&
+      !extract.summary.includes('cevap'));
+
+    const [first, second] = await Promise.all([context.rollUp('user_c'), context.rollUp('user_c')]);
+    this.test('Roll-ups of one conversation do not run side by side', first === second);
+
+    const error = new Error('summarizer timed out');
+    this.test('Logged failures show their stack, or their message without one',
+      Logger.describe(error) === error.stack && Logger.describe({ message: 'zaman aşımı' }) === 'zaman aşımı' &&
+      Logger.describe('zaman aşımı') === 'zaman aşımı' && Logger.describe(undefined) === '');
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new ConversationContextTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ConversationContextTester;
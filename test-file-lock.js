@@ -0,0 +1,169 @@
+/**
+ * 🔒 HayDay Chat System - File Lock Stress Test
+ * Hammers JSON files from several child processes through FileManager
+ *
+ * Usage: node test-file-lock.js [workers] [iterations]
+ */
+
+const { fork, spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FileLock, FileManager } = require('./lib/file-manager');
+
+// Child process: increment a shared counter and rewrite a shared log file
+async function runWorker(dir, iterations) {
+  const counterPath = path.join(dir, 'counter.json');
+  const logPath = path.join(dir, 'log.json');
+
+  for (let i = 0; i < iterations; i++) {
+    await FileManager.updateJSONFile(counterPath, { count: 0, writers: {} }, data => {
+      data.count += 1;
+      data.writers[process.pid] = (data.writers[process.pid] || 0) + 1;
+    });
+
+    const written = await FileManager.writeJSONFile(logPath, {
+      pid: process.pid,
+      iteration: i,
+      payload: 'x'.repeat(2000 + Math.floor(Math.random() * 2000))
+    });
+    if (!written) throw new Error('write failed');
+
+    const log = await FileManager.readJSONFile(logPath, null);
+    if (!log || typeof log.pid !== 'number') throw new Error('read returned an invalid document');
+  }
+}
+
+class FileLockTester {
+  constructor(workers, iterations) {
+    this.workers = workers;
+    this.iterations = iterations;
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🔒 FILE LOCK STRESS TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-lock-'));
+    try {
+      await this.testConcurrentWriters();
+      await this.testStaleLock();
+      await this.testAcquireTimeout();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  async testConcurrentWriters() {
+    console.log(`\n👥 ${this.workers} processes × ${this.iterations} iterations...`);
+    const started = Date.now();
+
+    const exitCodes = await Promise.all(
+      Array.from({ length: this.workers }, () => new Promise(resolve => {
+        const child = fork(__filename, ['--worker', this.dir, String(this.iterations)]);
+        child.on('exit', code => resolve(code));
+      }))
+    );
+
+    this.test('All workers exited cleanly', exitCodes.every(code => code === 0));
+
+    const counter = JSON.parse(await fs.readFile(path.join(this.dir, 'counter.json'), 'utf8'));
+    const expected = this.workers * this.iterations;
+    this.test(`No lost updates: ${counter.count}/${expected}`, counter.count === expected);
+    this.test(`Every worker wrote: ${Object.keys(counter.writers).length}/${this.workers}`,
+      Object.keys(counter.writers).length === this.workers);
+
+    let logValid = true;
+    try {
+      JSON.parse(await fs.readFile(path.join(this.dir, 'log.json'), 'utf8'));
+    } catch {
+      logValid = false;
+    }
+    this.test('Shared file is valid JSON', logValid);
+
+    const leftovers = (await fs.readdir(this.dir)).filter(name => /\.(lock|tmp\.)/.test(name));
+    this.test(`No leftover lock or temp files (${leftovers.length})`, leftovers.length === 0);
+
+    console.log(`⏱️ ${Date.now() - started}ms`);
+  }
+
+  async testStaleLock() {
+    console.log('\n🧟 Stale lock from a dead process...');
+    const filePath = path.join(this.dir, 'stale.json');
+
+    // Spawn a process that exits immediately, so its pid is known to be dead
+    const deadPid = await new Promise(resolve => {
+      const child = spawn(process.execPath, ['-e', 'process.exit(0)']);
+      child.on('exit', () => resolve(child.pid));
+    });
+
+    await fs.writeFile(`${filePath}.lock`, JSON.stringify({
+      pid: deadPid,
+      hostname: os.hostname(),
+      token: 'dead',
+      acquiredAt: Date.now()
+    }));
+
+    const started = Date.now();
+    const written = await FileManager.writeJSONFile(filePath, { ok: true });
+    this.test(`Dead holder's lock is taken over (${Date.now() - started}ms)`, written);
+  }
+
+  async testAcquireTimeout() {
+    console.log('\n⏳ Acquire timeout...');
+    const filePath = path.join(this.dir, 'held.json');
+    const lock = await FileLock.acquire(filePath);
+
+    let error = null;
+    try {
+      await FileLock.acquire(filePath, { timeout: 200 });
+    } catch (err) {
+      error = err;
+    }
+    this.test('Second acquire times out with ELOCKTIMEOUT', error && error.code === 'ELOCKTIMEOUT');
+
+    await FileLock.release(lock);
+    const next = await FileLock.acquire(filePath, { timeout: 200 });
+    this.test('Lock is available again after release', !!next);
+    await FileLock.release(next);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--worker') {
+    runWorker(args[1], parseInt(args[2]))
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error(`❌ Worker ${process.pid} failed:`, error.message);
+        process.exit(1);
+      });
+  } else {
+    const tester = new FileLockTester(parseInt(args[0]) || 4, parseInt(args[1]) || 40);
+    tester.runAllTests()
+      .then(success => process.exit(success ? 0 : 1))
+      .catch(error => {
+        console.error('❌ Test suite failed:', error);
+        process.exit(1);
+      });
+  }
+}
+
+module.exports = FileLockTester;
@@ -0,0 +1,124 @@
+/**
+ * 🕘 HayDay Chat System - Knowledge Versions Test
+ * Versions, diffs and rollbacks of the knowledge base, and the feedback statistics
+ * that stay out of them (lib/knowledge-versions.js)
+ *
+ * Usage: node test-knowledge-versions.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KnowledgeVersions = require('./lib/knowledge-versions');
+
+const ENTRIES = [
+  { id: 'gold', keywords: ['altın'], response: 'Altın transferi...', confidence: 0.8, successRate: 0.5, usage: 3 },
+  { id: 'storage', keywords: ['ambar'], response: 'Ambar...', confidence: 0.7, successRate: 0.5, usage: 0 }
+];
+
+function copy(entries) {
+  return JSON.parse(JSON.stringify(entries));
+}
+
+class KnowledgeVersionsTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🕘 KNOWLEDGE VERSIONS TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-versions-'));
+    try {
+      await this.testRecord();
+      this.testDiff();
+      this.testRestore();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  async testRecord() {
+    console.log('\n📚 Versions...');
+    const versions = new KnowledgeVersions({ path: path.join(this.dir, 'versions.json'), maxVersions: 3 });
+
+    const first = await versions.record(ENTRIES, { author: 42, source: 'admin', action: 'created' });
+    this.test('The first snapshot is version 1', first && first.version === 1 && first.author === '42');
+
+    const rated = copy(ENTRIES);
+    rated[0].confidence = 0.65;
+    rated[0].successRate = 0.4;
+    rated[0].usage = 4;
+    rated[0].feedback = { up: 0, down: 1 };
+    this.test('Feedback statistics do not make a new version', (await versions.record(rated)) === null);
+
+    const edited = copy(rated);
+    edited[1].response = 'Ambar kapasitesi...';
+    const second = await versions.record(edited, { action: 'updated' });
+    this.test('An edited answer makes a new version', second && second.version === 2);
+
+    for (let i = 0; i < 3; i++) {
+      edited[1].response = `Ambar ${i}`;
+      await versions.record(edited);
+    }
+    const list = await versions.list();
+    this.test('Only maxVersions are kept, newest first', list.length === 3 && list[0].version === 5 && !list[0].entries);
+  }
+
+  testDiff() {
+    console.log('\n🔍 Diff...');
+    const next = copy(ENTRIES).slice(1);
+    next[0].keywords = ['ambar', 'depo'];
+    next[0].confidence = 0.3;
+    next.push({ id: 'silo', keywords: ['silo'], response: 'Silo...' });
+
+    const diff = KnowledgeVersions.diff(ENTRIES, next);
+    this.test('Added and removed entries are listed',
+      diff.added.map(entry => entry.id).join() === 'silo' && diff.removed.map(entry => entry.id).join() === 'gold');
+    this.test('Changed fields have before and after values',
+      diff.changed.length === 1 && diff.changed[0].fields.keywords.after.join() === 'ambar,depo');
+    this.test('Learned confidence is not shown as an edit', diff.changed.length === 1 && !diff.changed[0].fields.confidence);
+  }
+
+  testRestore() {
+    console.log('\n↩️ Rollback...');
+    const current = copy(ENTRIES);
+    current[0].response = 'Yanlış cevap';
+    current[0].confidence = 0.55;
+    current[0].feedback = { up: 1, down: 3 };
+    current.push({ id: 'silo', keywords: ['silo'], response: 'Silo...' });
+
+    const restored = KnowledgeVersions.restore(ENTRIES, current);
+    this.test('The old answers come back', restored.length === 2 && restored[0].response === 'Altın transferi...');
+    this.test('Entries keep what they learned from feedback',
+      restored[0].confidence === 0.55 && restored[0].feedback.down === 3);
+    this.test('The version itself is not changed', ENTRIES[0].confidence === 0.8 && !ENTRIES[0].feedback);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new KnowledgeVersionsTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = KnowledgeVersionsTester;
@@ -0,0 +1,121 @@
+/**
+ * 🧠 HayDay Chat System - LLM Provider Test
+ * The offline MockProvider, provider selection from the environment and the mapping of
+ * provider failures onto LLMError codes (lib/llm.js)
+ *
+ * Usage: node test-llm.js
+ */
+
+const { LLMError, MockProvider, createLLMProvider } = require('./lib/llm');
+
+class LLMTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧠 LLM PROVIDER TEST');
+    console.log('═'.repeat(55));
+
+    await this.testMockProvider();
+    await this.testProviderSelection();
+    this.testErrors();
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  async testMockProvider() {
+    console.log('\n🎭 Mock provider...');
+    const provider = new MockProvider({
+      responses: { kargo: 'Kargo 2-3 iş gününde teslim edilir.' },
+      confidence: 0.9
+    });
+
+    const answer = await provider.complete({
+      messages: [
+        { role: 'user', content: 'kargo değil, fiyat' },
+        { role: 'assistant', content: 'Tabii.' },
+        { role: 'user', content: 'KARGO ne zaman gelir?' }
+      ]
+    });
+    this.test('Keyword answers match the last visitor message, whatever the case',
+      answer.content === 'Kargo 2-3 iş gününde teslim edilir.' && answer.confidence === 0.9 && answer.provider === 'mock');
+    this.test('Calls are recorded', provider.calls.length === 1 && provider.calls[0].messages.length === 3);
+
+    const echo = await provider.complete({ messages: [{ role: 'user', content: 'merhaba' }] });
+    this.test('Without a keyword the question is echoed', echo.content === '[mock] merhaba');
+
+    const deltas = [];
+    const streamed = await provider.stream({ messages: [{ role: 'user', content: 'kargo?' }] }, delta => deltas.push(delta));
+    this.test('Streamed pieces add up to the complete answer',
+      deltas.length > 1 && deltas.join('') === streamed.content && streamed.content === answer.content);
+
+    let error = null;
+    try {
+      await new MockProvider({ failWith: 'rate_limit' }).complete({ messages: [] });
+    } catch (err) {
+      error = err;
+    }
+    this.test('failWith throws an LLMError with that code',
+      error instanceof LLMError && error.code === 'rate_limit' && error.retryable === true);
+  }
+
+  async testProviderSelection() {
+    console.log('\n🔌 Provider selection...');
+    const configured = createLLMProvider('mock', { LLM_MOCK_RESPONSE: 'Sabit cevap', LLM_MOCK_CONFIDENCE: '0.4' });
+    const fixed = await configured.complete({ messages: [{ role: 'user', content: 'x' }] });
+    this.test('LLM_PROVIDER=mock is configured from the environment',
+      configured instanceof MockProvider && fixed.content === 'Sabit cevap' && fixed.confidence === 0.4);
+
+    this.test('OpenAI without an API key is not configured', createLLMProvider('openai', {}) === null);
+    this.test('The placeholder API key counts as no key',
+      createLLMProvider('openai', { OPENAI_API_KEY: 'your-openai-api-key-here' }) === null);
+    this.test('An unknown provider is not configured', createLLMProvider('gpt-free', {}) === null);
+  }
+
+  testErrors() {
+    console.log('\n🚨 Error codes...');
+    const cases = [
+      [{ status: 401 }, 'auth'],
+      [{ status: 429 }, 'rate_limit'],
+      [{ status: 400 }, 'bad_request'],
+      [{ status: 503 }, 'unavailable'],
+      [{ code: 'ECONNREFUSED' }, 'unavailable'],
+      [{ code: 'ETIMEDOUT' }, 'timeout'],
+      [{}, 'unknown']
+    ];
+    for (const [fields, code] of cases) {
+      const error = LLMError.from(Object.assign(new Error('failed'), fields), 'openai');
+      this.test(`${JSON.stringify(fields)} -> ${code}`, error.code === code && error.provider === 'openai');
+    }
+
+    const original = new LLMError('Mock failure: auth', { code: 'auth' });
+    this.test('An LLMError is passed through unchanged', LLMError.from(original, 'openai') === original);
+    this.test('Only timeouts, rate limits and outages are retryable',
+      LLMError.from({ status: 429 }).retryable && !LLMError.from({ status: 401 }).retryable);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new LLMTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = LLMTester;
@@ -0,0 +1,181 @@
+/**
+ * 🎯 HayDay Chat System - Matching Test
+ * Turkish normalization, BM25 ranking, confidence calibration and typo matching of
+ * knowledge-base patterns (lib/pattern-retriever.js)
+ *
+ * Usage: node test-matching.js
+ */
+
+const TurkishText = require('./assets/js/turkish-text');
+const PatternRetriever = require('./lib/pattern-retriever');
+
+const PATTERNS = [
+  {
+    id: 'greeting',
+    keywords: ['merhaba', 'selam', 'hi'],
+    examples: ['İyi günler'],
+    response: 'Merhaba! Size nasıl yardımcı olabilirim?'
+  },
+  {
+    id: 'gold',
+    keywords: ['altın', 'transfer', 'göndermek'],
+    examples: ['Altın nasıl gönderiliyor?'],
+    response: 'Altın transferi için Sorular & İletişim sayfamıza bakın.'
+  },
+  {
+    id: 'storage',
+    keywords: ['depolama', 'ambar', 'silo', 'kapasite'],
+    examples: ['Ambarım doldu, ne yapmalıyım?'],
+    response: 'Depolama hesaplayıcısını kullanabilirsiniz.'
+  },
+  {
+    id: 'delivery',
+    keywords: ['teslimat', 'kargo'],
+    examples: ['Siparişim ne zaman gelir?'],
+    response: 'Teslimat genellikle 3-5 saat sürer.',
+    tolerances: { kargo: 0 }
+  },
+  {
+    id: 'price',
+    keywords: ['fiyat hesapla', 'adet'],
+    examples: ['20 adet cıvata ne kadar?'],
+    response: 'Fiyatı hesaplayayım.'
+  }
+];
+
+class MatchingTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🎯 MATCHING TEST');
+    console.log('═'.repeat(55));
+
+    this.testTurkishText();
+    this.testRanking();
+    this.testConfidence();
+    this.testTypos();
+    this.testAlternatives();
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  retriever(options = {}, alternatives = {}) {
+    const retriever = new PatternRetriever({
+      ...options,
+      alternativesOf: pattern => alternatives[pattern.id] || []
+    });
+    retriever.index(PATTERNS);
+    return retriever;
+  }
+
+  testTurkishText() {
+    console.log('\n🔤 Turkish text...');
+    this.test('Dotted and dotless i fold the same way',
+      TurkishText.normalize('IŞIK ışık') === TurkishText.normalize('ışık IŞIK'));
+    this.test('Inflected forms share a stem ("ambarım" ~ "ambar")',
+      TurkishText.stem(TurkishText.normalize('ambarım')) === TurkishText.stem(TurkishText.normalize('ambar')));
+    this.test('Keywords match inflected words in a message',
+      TurkishText.matchKeywords(TurkishText.analyze('Altınlarımı göndermek istiyorum'), ['altın', 'göndermek']).length === 2);
+  }
+
+  testRanking() {
+    console.log('\n📊 BM25 ranking...');
+    const retriever = this.retriever();
+
+    const [top] = retriever.search('Ambarımın kapasitesi doldu');
+    this.test('Keyword and example hits rank their pattern first', top && top.pattern.id === 'storage');
+
+    const gold = retriever.search('Altın transferi nasıl yapılır?');
+    this.test('Two keyword hits beat a single one', gold[0] && gold[0].pattern.id === 'gold');
+    this.test('Matched keywords are reported', gold[0] && gold[0].matchedKeywords.length >= 2);
+
+    this.test('Unrelated text matches nothing', retriever.search('xyz qwerty').length === 0);
+    this.test('search() returns at most k results', retriever.search('altın ambar kargo merhaba', 2).length === 2);
+  }
+
+  testConfidence() {
+    console.log('\n🎚️ Confidence...');
+    const retriever = this.retriever();
+
+    const single = retriever.search('ambar');
+    const double = retriever.search('ambar kapasite depolama');
+    const singleConfidence = retriever.confidence(single);
+    const doubleConfidence = retriever.confidence(double);
+
+    this.test(`A single keyword hit lands near the calibrated 0.8 (${singleConfidence.toFixed(2)})`,
+      singleConfidence > 0.6 && singleConfidence < 0.95);
+    this.test(`More keyword hits are more confident (${doubleConfidence.toFixed(2)})`, doubleConfidence > singleConfidence);
+    this.test('Confidence stays within 0..1', doubleConfidence <= 1 && singleConfidence >= 0);
+
+    const ambiguous = retriever.search('altın ambar');
+    const clear = retriever.search('altın transfer');
+    this.test('A close runner-up lowers the confidence (ambiguity penalty)',
+      retriever.confidence(ambiguous) < retriever.confidence(clear));
+    this.test('No results means no confidence', retriever.confidence([]) === 0);
+  }
+
+  testTypos() {
+    console.log('\n⌨️ Typo matching...');
+    const retriever = this.retriever();
+
+    const [depolama] = retriever.search('depolma hesabı');
+    this.test('One typo in a long keyword still matches ("depolma")', depolama && depolama.pattern.id === 'storage');
+    this.test('The correction is reported as a variant',
+      depolama && depolama.variants.some(variant => variant.keyword === 'depolama' && variant.distance === 1));
+
+    const [transfer] = retriever.search('trasnfer');
+    this.test('A swap of neighbouring letters is one edit ("trasnfer")', transfer && transfer.pattern.id === 'gold');
+
+    const exact = retriever.search('altın')[0];
+    const fuzzy = retriever.search('altn')[0];
+    this.test('A corrected word scores lower than the exact one',
+      exact && fuzzy && fuzzy.pattern.id === 'gold' && fuzzy.score < exact.score);
+
+    this.test('Short keywords stay exact ("ho" is not "hi")', retriever.search('ho').length === 0);
+    this.test('A per-keyword tolerance of 0 turns fuzzy matching off ("kargi")', retriever.search('kargi').length === 0);
+
+    const strict = this.retriever({ fuzzy: { enabled: false } });
+    this.test('Fuzzy matching can be switched off', strict.search('depolma').length === 0);
+  }
+
+  testAlternatives() {
+    console.log('\n🛒 Alternative keywords...');
+    const catalog = ['cıvata', 'kereste', 'tahta kalas', 'çivi', 'vida', 'bant'];
+    const retriever = this.retriever({}, { price: catalog });
+
+    const [top] = retriever.search('15 vida');
+    this.test('A catalog name matches its pattern', top && top.pattern.id === 'price');
+
+    const plain = this.retriever();
+    const ownKeyword = retriever.confidence(retriever.search('adet'));
+    const withoutCatalog = plain.confidence(plain.search('adet'));
+    this.test(`Catalog names do not weaken the pattern's own keywords (${ownKeyword.toFixed(2)} vs ${withoutCatalog.toFixed(2)})`,
+      ownKeyword >= withoutCatalog - 0.05);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new MatchingTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = MatchingTester;
@@ -0,0 +1,189 @@
+/**
+ * 📦 HayDay Chat System - Order Lookup Test
+ * File order adapter (JSON and CSV), the order number + e-mail check, visitor lockout and
+ * the backoff on guessed order numbers (lib/order-lookup.js)
+ *
+ * Usage: node test-orders.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { OrderLookup, FileOrderAdapter, createOrderAdapter, parseCSV } = require('./lib/order-lookup');
+
+const ORDERS = [
+  { id: 'HD-10001', email: 'Ornek@Example.com', status: 'delivering', items: [{ name: 'cıvata', quantity: 20 }], eta: 'Bugün' },
+  { id: 'HD-10002', email: 'diger@example.com', status: 'received', items: [] }
+];
+
+const CSV = [
+  'id,email,status,items,eta,note',
+  'HD-20001,csv@example.com,paid,"20x cıvata; 10x kereste",Yarın,"Not, virgüllü ""alıntı"""',
+  ''
+].join('\n');
+
+class OrderTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('📦 ORDER LOOKUP TEST');
+    console.log('═'.repeat(55));
+
+    this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hayday-orders-'));
+    try {
+      await this.testFileAdapter();
+      await this.testLookup();
+      await this.testLockout();
+      await this.testBackoff();
+      await this.testUnavailable();
+    } finally {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  async lookupWith(options = {}) {
+    const filePath = path.join(this.dir, 'orders.json');
+    await fs.writeFile(filePath, JSON.stringify(ORDERS));
+    return new OrderLookup({ adapter: new FileOrderAdapter({ path: filePath }), backoffMs: 0, ...options });
+  }
+
+  async testFileAdapter() {
+    console.log('\n📄 File adapter...');
+    const jsonPath = path.join(this.dir, 'adapter.json');
+    await fs.writeFile(jsonPath, JSON.stringify(ORDERS));
+    const adapter = new FileOrderAdapter({ path: jsonPath });
+
+    const order = await adapter.findOrder('#hd-10001');
+    this.test('Order numbers are found with "#" and in any case', order && order.id === 'HD-10001');
+    this.test('E-mail addresses are stored lowercased', order && order.email === 'ornek@example.com');
+    this.test('Unknown orders are null', (await adapter.findOrder('HD-99999')) === null);
+
+    await fs.writeFile(jsonPath, JSON.stringify([...ORDERS, { id: 'HD-10003', email: 'yeni@example.com', status: 'paid' }]));
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(jsonPath, later, later);
+    this.test('The file is re-read when it changes', !!(await adapter.findOrder('HD-10003')));
+
+    const csvPath = path.join(this.dir, 'orders.csv');
+    await fs.writeFile(csvPath, CSV);
+    const csvOrder = await new FileOrderAdapter({ path: csvPath }).findOrder('HD-20001');
+    this.test('CSV items are parsed from "20x cıvata; 10x kereste"',
+      csvOrder && csvOrder.items.length === 2 && csvOrder.items[1].name === 'kereste' && csvOrder.items[1].quantity === 10);
+    this.test('Quoted CSV fields keep commas and quotes', csvOrder && csvOrder.note === 'Not, virgüllü "alıntı"');
+
+    const [row] = parseCSV('a,b\r\n"x\ny",2\r\n');
+    this.test('CSV fields may span lines, CRLF rows are read', row && row.a === 'x\ny' && row.b === '2');
+
+    const missing = new FileOrderAdapter({ path: path.join(this.dir, 'missing.json') });
+    this.test('A missing orders file finds nothing', (await missing.findOrder('HD-10001')) === null);
+  }
+
+  async testLookup() {
+    console.log('\n🔐 Order number + e-mail...');
+    const lookup = await this.lookupWith();
+
+    const found = await lookup.lookup('HD-10001', ' ORNEK@example.com ', 'client_a');
+    this.test('The right pair finds the order', found.status === 'found' && found.order.id === 'HD-10001');
+
+    const wrongEmail = await lookup.lookup('HD-10001', 'baska@example.com', 'client_a');
+    const unknown = await lookup.lookup('HD-99999', 'ornek@example.com', 'client_a');
+    this.test('A wrong e-mail gets the same answer as an unknown order',
+      wrongEmail.status === 'not_found' && unknown.status === 'not_found' && !wrongEmail.order);
+
+    this.test('Support agents find orders without an e-mail', (await lookup.find('HD-10002')).status === 'received');
+    this.test('Status labels are Turkish', OrderLookup.statusLabel('delivering') === 'Teslim ediliyor');
+  }
+
+  async testLockout() {
+    console.log('\n🚫 Lockout...');
+    const lookup = await this.lookupWith({ maxFailures: 3 });
+
+    for (let i = 0; i < 3; i++) {
+      await lookup.lookup('HD-10001', `tahmin${i}@example.com`, 'attacker');
+    }
+    const locked = await lookup.lookup('HD-10001', 'ornek@example.com', 'attacker');
+    this.test('A visitor is locked after maxFailures wrong pairs', locked.status === 'locked');
+
+    const owner = await lookup.lookup('HD-10001', 'ornek@example.com', 'owner');
+    this.test('The order number is not locked for its owner', owner.status === 'found');
+
+    const expiring = await this.lookupWith({ maxFailures: 1, lockoutMs: 50 });
+    await expiring.lookup('HD-10001', 'yanlis@example.com', 'visitor');
+    this.test('The lock holds within the lockout window',
+      (await expiring.lookup('HD-10001', 'ornek@example.com', 'visitor')).status === 'locked');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    this.test('The lock expires after lockoutMs',
+      (await expiring.lookup('HD-10001', 'ornek@example.com', 'visitor')).status === 'found');
+
+    const success = await this.lookupWith({ maxFailures: 2 });
+    await success.lookup('HD-10001', 'yanlis@example.com', 'visitor');
+    await success.lookup('HD-10001', 'ornek@example.com', 'visitor');
+    await success.lookup('HD-10001', 'yanlis@example.com', 'visitor');
+    this.test('A successful lookup resets the failure count',
+      (await success.lookup('HD-10001', 'ornek@example.com', 'visitor')).status === 'found');
+  }
+
+  async testBackoff() {
+    console.log('\n🐢 Backoff on guessed order numbers...');
+    const lookup = await this.lookupWith({ backoffMs: 40, maxBackoffMs: 100, maxFailures: 100 });
+
+    this.test('No wait before the first guess', lookup.backoff('order:HD-10001') === 0);
+    await lookup.lookup('HD-10001', 'a@example.com', 'guesser_1');
+    await lookup.lookup('HD-10001', 'b@example.com', 'guesser_2');
+    this.test('The wait doubles with every wrong guess', lookup.backoff('order:HD-10001') === 80);
+    await lookup.lookup('HD-10001', 'c@example.com', 'guesser_3');
+    this.test('The wait is capped at maxBackoffMs', lookup.backoff('order:HD-10001') === 100);
+
+    const started = Date.now();
+    const owner = await lookup.lookup('HD-10001', 'ornek@example.com', 'owner');
+    const waited = Date.now() - started;
+    this.test(`The owner is answered after the wait (${waited}ms)`, owner.status === 'found' && waited >= 90);
+    this.test('A found order clears its backoff', lookup.backoff('order:HD-10001') === 0);
+    this.test('Other order numbers are not slowed down', lookup.backoff('order:HD-10002') === 0);
+  }
+
+  async testUnavailable() {
+    console.log('\n🔌 Adapters...');
+    this.test('Without an adapter lookups are unavailable',
+      (await new OrderLookup({}).lookup('HD-10001', 'ornek@example.com', 'client')).status === 'unavailable');
+
+    const failing = new OrderLookup({
+      adapter: { name: 'broken', findOrder: async () => { throw new Error('shop down'); } },
+      backoffMs: 0
+    });
+    this.test('A failing shop API is reported as unavailable',
+      (await failing.lookup('HD-10001', 'ornek@example.com', 'client')).status === 'unavailable');
+
+    this.test('ORDER_ADAPTER=none turns order lookup off', createOrderAdapter('none') === null);
+    const fileAdapter = createOrderAdapter('file', {});
+    this.test('The file adapter reads ./data/orders.json by default, out of static serving',
+      fileAdapter && fileAdapter.path === './data/orders.json');
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new OrderTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = OrderTester;
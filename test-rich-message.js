@@ -0,0 +1,145 @@
+/**
+ * 🎛️ HayDay Chat System - Rich Message Test
+ * Validation and normalization of quick replies, buttons, cards and images, the AI's
+ * [[seçenek]] / [[buton]] markup and the plain-text fallback (lib/rich-message.js)
+ *
+ * Usage: node test-rich-message.js
+ */
+
+const RichMessage = require('./lib/rich-message');
+
+class RichMessageTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🎛️ RICH MESSAGE TEST');
+    console.log('═'.repeat(55));
+
+    this.testValidate();
+    this.testNormalize();
+    this.testMarkup();
+    this.testToText();
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  testValidate() {
+    console.log('\n🛡️ Validation...');
+    const valid = {
+      quickReplies: [{ label: 'Sipariş durumu', text: 'Siparişim nerede?' }],
+      buttons: [{ label: 'İletişim', url: 'https://example.com/iletisim' }],
+      cards: [{ title: 'Cıvata', price: '2,50 TL', imageUrl: 'https://example.com/c.png', url: 'http://example.com/c' }],
+      images: [{ url: 'https://example.com/ambar.png', alt: 'Ambar' }]
+    };
+    this.test('Every part with valid items passes', RichMessage.validate(valid) === null);
+
+    const invalid = [
+      ['javascript: button URL', { buttons: [{ label: 'x', url: 'javascript:alert(1)' }] }],
+      ['data: image', { images: [{ url: 'data:image/png;base64,AAAA' }] }],
+      ['relative card link', { cards: [{ title: 'x', url: '/urun' }] }],
+      ['unknown part', { videos: [] }],
+      ['part that is not a list', { buttons: { label: 'x' } }],
+      ['quick reply without label', { quickReplies: [{ text: 'x' }] }],
+      ['label over 40 characters', { quickReplies: [{ label: 'x'.repeat(41) }] }],
+      ['more quick replies than the limit', { quickReplies: Array.from({ length: 7 }, (_, i) => ({ label: `s${i}` })) }],
+      ['list instead of an object', [{ label: 'x' }]],
+      ['null', null]
+    ];
+    for (const [description, rich] of invalid) {
+      this.test(`Rejected: ${description}`, typeof RichMessage.validate(rich) === 'string');
+    }
+  }
+
+  testNormalize() {
+    console.log('\n🧹 Normalization...');
+    const normalized = RichMessage.normalize({
+      quickReplies: [{ label: '  Fiyatlar  ' }, { label: '' }, 'metin'],
+      buttons: [{ label: 'Kötü', url: 'javascript:alert(1)' }],
+      images: Array.from({ length: 6 }, (_, i) => ({ url: `https://example.com/${i}.png` })),
+      extra: [{ label: 'x' }]
+    });
+
+    this.test('Labels are trimmed, invalid items dropped',
+      normalized && normalized.quickReplies.length === 1 && normalized.quickReplies[0].label === 'Fiyatlar');
+    this.test('Parts left without items are left out', normalized && !normalized.buttons);
+    this.test('Parts are cut to their limit', normalized && normalized.images.length === RichMessage.LIMITS.images);
+    this.test('Unknown parts are left out', normalized && !normalized.extra);
+    this.test('Nothing valid normalizes to null', RichMessage.normalize({ buttons: [{ label: 'x', url: 'ftp://x' }] }) === null);
+
+    const hosts = RichMessage.normalize({
+      buttons: [
+        { label: 'Site', url: 'https://haydaymalzeme.com/sss' },
+        { label: 'Başka', url: 'https://evil.example/sss' }
+      ]
+    }, { hosts: ['haydaymalzeme.com'] });
+    this.test('A host list keeps only links to those hosts',
+      hosts && hosts.buttons.length === 1 && hosts.buttons[0].label === 'Site');
+  }
+
+  testMarkup() {
+    console.log('\n🤖 AI markup...');
+    const content = [
+      'Siparişinizi sohbetten sorgulayabilirsiniz.',
+      '',
+      '[[seçenek: Sipariş durumu]]',
+      '[[secenek: Teslimat süresi]]',
+      '[[buton: Sorular & İletişim | https://haydaymalzeme.com/iletisim]]',
+      '[[buton: Kötü | javascript:alert(1)]]'
+    ].join('\n');
+
+    const parsed = RichMessage.parseMarkup(content, { hosts: ['haydaymalzeme.com'] });
+    this.test('Markup is taken out of the text', parsed.text === 'Siparişinizi sohbetten sorgulayabilirsiniz.');
+    this.test('[[seçenek]] lines become quick replies, with or without "ç"',
+      parsed.rich && parsed.rich.quickReplies.map(reply => reply.label).join('|') === 'Sipariş durumu|Teslimat süresi');
+    this.test('[[buton]] lines become buttons, unsafe URLs are dropped',
+      parsed.rich && parsed.rich.buttons.length === 1 && parsed.rich.buttons[0].url === 'https://haydaymalzeme.com/iletisim');
+
+    const noHosts = RichMessage.parseMarkup('Metin [[buton: Site | https://haydaymalzeme.com]]', { hosts: [] });
+    this.test('An empty host list allows no AI links', noHosts.text === 'Metin' && noHosts.rich === null);
+
+    const plain = RichMessage.parseMarkup('Sadece metin [1].');
+    this.test('Text without markup is kept, citations included', plain.text === 'Sadece metin [1].' && plain.rich === null);
+  }
+
+  testToText() {
+    console.log('\n📱 Plain-text fallback...');
+    const text = RichMessage.toText('Fiyat hesabı', {
+      cards: [{ title: 'cıvata', subtitle: '20 adet', price: '50,00 TL', url: 'https://example.com/c' }],
+      buttons: [{ label: 'Sipariş ver', url: 'https://example.com/siparis' }],
+      quickReplies: [{ label: 'Başka ürün' }, { label: 'Teşekkürler' }]
+    });
+
+    this.test('The text comes first', text.startsWith('Fiyat hesabı\n'));
+    this.test('Cards become lines with their details and link',
+      text.includes('🛒 cıvata - 20 adet • 50,00 TL\nhttps://example.com/c'));
+    this.test('Buttons become labelled links', text.includes('🔗 Sipariş ver: https://example.com/siparis'));
+    this.test('Quick replies are listed as options', text.includes('💬 Seçenekler: Başka ürün | Teşekkürler'));
+    this.test('Messages without rich parts are unchanged', RichMessage.toText('Merhaba', null) === 'Merhaba');
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new RichMessageTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = RichMessageTester;
@@ -0,0 +1,161 @@
+/**
+ * 🧩 HayDay Chat System - Slot Extraction Test
+ * Typed intent slots read from visitor messages (lib/slot-extractor.js)
+ *
+ * Usage: node test-slots.js
+ */
+
+const SlotExtractor = require('./lib/slot-extractor');
+
+const ORDER_SLOTS = [
+  { name: 'orderId', type: 'order_id', prompt: 'Sipariş numaranız?' },
+  { name: 'email', type: 'email', prompt: 'E-posta adresiniz?' }
+];
+
+const LEVEL_SLOTS = [
+  { name: 'building', type: 'product', prompt: 'Ambar mı, silo mu?', values: ['ambar', 'silo', 'depo'] },
+  { name: 'currentLevel', type: 'amount', prompt: 'Şu anki seviye?', min: 1, max: 500, marker: 'from' },
+  { name: 'targetLevel', type: 'amount', prompt: 'Hedef seviye?', min: 2, max: 500, marker: 'to' }
+];
+
+class SlotTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0 };
+  }
+
+  test(description, condition) {
+    if (condition) {
+      this.results.passed++;
+      console.log(`✅ ${description}`);
+    } else {
+      this.results.failed++;
+      console.log(`❌ ${description}`);
+    }
+  }
+
+  // Same values, whatever order the keys were set in
+  same(actual, expected) {
+    const sorted = value => (value && !Array.isArray(value) && typeof value === 'object'
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]))
+      : value);
+    return JSON.stringify(sorted(actual)) === JSON.stringify(sorted(expected));
+  }
+
+  async runAllTests() {
+    console.log('🧩 SLOT EXTRACTION TEST');
+    console.log('═'.repeat(55));
+
+    this.testAmounts();
+    this.testOrderSlots();
+    this.testProducts();
+    this.testLevels();
+    this.testRedaction();
+    this.testFill();
+
+    console.log('═'.repeat(55));
+    console.log(`✅ Passed: ${this.results.passed}   ❌ Failed: ${this.results.failed}`);
+    return this.results.failed === 0;
+  }
+
+  testAmounts() {
+    console.log('\n🔢 Amounts...');
+    const cases = [
+      ['500 altın ne kadar', 500],
+      ['1.500 altın', 1500],
+      ['1,5 bin altın', 1500],
+      ['2k altın', 2000],
+      ['beş yüz elli altın', 550],
+      ['on iki tane', 12]
+    ];
+    for (const [text, expected] of cases) {
+      const amount = SlotExtractor.parseAmount(text);
+      this.test(`"${text}" -> ${expected} (${amount})`, amount === expected);
+    }
+
+    this.test('"bir" on its own is not a quantity', SlotExtractor.parseAmount('bir sorum var') === null);
+    this.test('Every quantity is read in order', this.same(SlotExtractor.parseAmounts('20 cıvata ve 10 kereste'), [20, 10]));
+
+    const extractor = new SlotExtractor();
+    const slots = [{ name: 'amount', type: 'amount', prompt: 'Kaç?', min: 1, max: 100 }];
+    this.test('A value above max counts as not given', this.same(extractor.extract('500 adet', slots), {}));
+  }
+
+  testOrderSlots() {
+    console.log('\n📦 Order number and e-mail...');
+    const extractor = new SlotExtractor();
+
+    this.test('Order number and e-mail from one message',
+      this.same(extractor.extract('#12345 siparişim, mailim Ali.Veli@Example.com', ORDER_SLOTS),
+        { orderId: '12345', email: 'ali.veli@example.com' }));
+    this.test('Prefixed order numbers are kept whole', SlotExtractor.parseOrderId('sipariş no HD-10001') === 'HD-10001');
+    this.test('Digits of an e-mail address are not an order number',
+      this.same(extractor.extract('ali12345@example.com', ORDER_SLOTS), { email: 'ali12345@example.com' }));
+  }
+
+  testProducts() {
+    console.log('\n🛒 Products...');
+    const extractor = new SlotExtractor({ products: ['cıvata', 'kereste', 'tahta kalas'] });
+    const slots = [
+      { name: 'product', type: 'product', prompt: 'Hangi ürün?' },
+      { name: 'amount', type: 'amount', prompt: 'Kaç adet?' }
+    ];
+
+    this.test('A product slot without values uses the shared product list',
+      this.same(extractor.extract('20 civata lazım', slots), { product: 'cıvata', amount: 20 }));
+    this.test('The first product named wins', SlotExtractor.parseProduct('kereste ve cıvata', ['cıvata', 'kereste']) === 'kereste');
+
+    extractor.setProducts(['vida']);
+    this.test('setProducts() replaces the product list', this.same(extractor.extract('5 vida', slots), { product: 'vida', amount: 5 }));
+  }
+
+  testLevels() {
+    console.log('\n🏚️ From / to levels...');
+    const extractor = new SlotExtractor();
+    const cases = [
+      ["ambarı 10'dan 15'e", { building: 'ambar', currentLevel: 10, targetLevel: 15 }],
+      ["silo 15'e 10'dan", { building: 'silo', currentLevel: 10, targetLevel: 15 }],
+      ["ambar 15'e", { building: 'ambar', targetLevel: 15 }],
+      ['ambar 15. seviyeye', { building: 'ambar', targetLevel: 15 }],
+      ['ambar 10 15', { building: 'ambar', currentLevel: 10, targetLevel: 15 }],
+      ['ambar 10', { building: 'ambar', currentLevel: 10 }]
+    ];
+    for (const [text, expected] of cases) {
+      const values = extractor.extract(text, LEVEL_SLOTS);
+      this.test(`"${text}" -> ${JSON.stringify(values)}`, this.same(values, expected));
+    }
+
+    // A later turn only asks for the slots still missing
+    const missing = LEVEL_SLOTS.filter(slot => slot.name === 'currentLevel');
+    this.test('An unmarked answer fills the slot that was asked for', this.same(extractor.extract('10', missing), { currentLevel: 10 }));
+  }
+
+  testRedaction() {
+    console.log('\n🙈 Redaction...');
+    this.test('E-mail slot values are masked',
+      this.same(SlotExtractor.redact({ orderId: '12345', email: 'ali@example.com' }, ORDER_SLOTS),
+        { orderId: '12345', email: 'a***@example.com' }));
+    this.test('E-mail addresses in the message are masked when the intent asks for one',
+      SlotExtractor.redactText('mailim ali@example.com ve veli@test.org', ORDER_SLOTS) === 'mailim a***@example.com ve v***@test.org');
+    this.test('Messages of intents without an e-mail slot are kept',
+      SlotExtractor.redactText('ali@example.com', [{ name: 'amount', type: 'amount', prompt: 'Kaç?' }]) === 'ali@example.com');
+  }
+
+  testFill() {
+    console.log('\n📝 Templates...');
+    this.test('Placeholders are filled, numbers in Turkish format',
+      SlotExtractor.fill('{amount} altın {product} için', { amount: 1500, product: 'cıvata' }) === '1.500 altın cıvata için');
+    this.test('Placeholders without a value are dropped', SlotExtractor.fill('{amount} altın', {}) === 'altın');
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  new SlotTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test suite failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = SlotTester;